@@ -1,6 +1,5 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import * as Tone from 'tone';
-import Soundfont from 'soundfont-player';
 import {
   Button,
   Space,
@@ -19,14 +18,51 @@ import {
   Avatar,
   Switch,
   Modal,
+  Dropdown,
+  message,
+  Progress,
+  Drawer,
+  Tooltip,
 } from 'antd';
-import { PlayCircleOutlined, PauseCircleOutlined, StopOutlined, DeleteOutlined, SettingOutlined, PlusOutlined, SoundOutlined, GithubOutlined, RetweetOutlined, EditOutlined, FullscreenOutlined, FullscreenExitOutlined, ArrowUpOutlined, ArrowDownOutlined, ArrowLeftOutlined, ArrowRightOutlined } from '@ant-design/icons';
+import { PlayCircleOutlined, PauseCircleOutlined, StopOutlined, DeleteOutlined, SettingOutlined, PlusOutlined, SoundOutlined, GithubOutlined, RetweetOutlined, EditOutlined, FullscreenOutlined, FullscreenExitOutlined, ArrowUpOutlined, ArrowDownOutlined, ArrowLeftOutlined, ArrowRightOutlined, FileOutlined, AudioOutlined, BellOutlined, ControlOutlined, LoadingOutlined, WarningOutlined, UploadOutlined } from '@ant-design/icons';
+import { GM_INSTRUMENTS, PPQ, DRUM_CHANNEL, encodeMidiFile, decodeMidiFile, getMelodicChannel } from './midiFile.js';
+import { renderOffline, encodeWav } from './audioExport.js';
+import { isWebMidiSupported, getMidiAccess, listMidiPorts, parseMidiMessage, audioTimeToMidiTimestamp, sendMidiNote, sendAllNotesOff } from './webMidi.js';
+import {
+  DEFAULT_TIME_SIGNATURES, TIME_SIGNATURE_DENOMINATORS, normalizeTimeSignatures, getMeterSegments, getMeterAt,
+  getBarBeat, getNextBarStep, getPrevBarStep, getGridStepsFor, getBeats,
+} from './timeSignature.js';
+import { MIN_BPM, MAX_BPM, getTempoPoints, stepToSeconds, getTempoAt, applyTempoAt } from './tempoMap.js';
+import { loadSoundfont } from './instrumentStore.js';
+import { saveSample, getSample, deleteUnusedSamples } from './sampleStore.js';
+import { encodeProject, decodeProject } from './projectFile.js';
+import { GM_PERCUSSION, DRUM_PATTERNS, getDrum, createDrumKitSource } from './drumKit.js';
+import {
+  NOTE_NAMES, SCALES, DEFAULT_KEY_SCALE, getScalePitchClasses, isInScale, stepInScale, getKeyScaleLabel,
+} from './scale.js';
+import { CHORD_TYPES, CHORD_VOICINGS, DEFAULT_CHORD_ENTRY, getChordSize, buildChord, detectChord } from './chords.js';
+import { ARP_DIRECTIONS, DEFAULT_ARP, generateArpeggio } from './arpeggiator.js';
+import { transpose, retrograde, invert, stretch, legato, quantize } from './transforms.js';
+import {
+  SWING_UNITS, MIN_SWING, MAX_SWING, GROOVE_TEMPLATES, DEFAULT_GROOVE, normalizeGroove, isGrooveActive, applyGroove,
+} from './groove.js';
+import {
+  SAMPLE_MODES, SAMPLE_FILE_ACCEPT, MIN_SAMPLE_MIDI, MAX_SAMPLE_MIDI, DEFAULT_SAMPLE, normalizeSample, getActiveZones,
+  guessRootFromFileName, distributeZoneRanges, createSampleSource,
+} from './samples.js';
+import { SYNTH_TYPES, OSCILLATOR_TYPES, NOISE_TYPES, FILTER_TYPES, DEFAULT_SYNTH, normalizeSynth, createSynthSource } from './synths.js';
+import {
+  EFFECT_TYPES, getEffectType, getDefaultEffectParams, getEffectChainKey, createEffectNodes, updateEffectNodes, whenEffectsReady,
+  DEFAULT_MASTER_BUS, createMasterBus, applyMasterBus, disposeMasterBus,
+} from './effects.js';
 
 const { Title, Text } = Typography;
 
 // Y轴频率范围 21-108 (对应标准 88 键钢琴: A0 - C8)
 // 之前是 0-127，但大多数采样音色在超低/超高音区没有声音
 const MIDI_RANGE = Array.from({ length: 88 }, (_, i) => 108 - i);
+// 鼓组折叠视图只显示 GM 打击乐的行 (35-81)
+const DRUM_ROWS = GM_PERCUSSION.map(drum => drum.midi).reverse();
 
 const RAINBOW_COLORS = [
   '#ff4d4f', // Red
@@ -59,24 +95,77 @@ const DEFAULT_PRESET = {
   duration: '8n',
   instrument: 'acoustic_grand_piano',
   volume: 1, // 默认音量 100%
+  pan: 0, // 声像 -1 (左) ~ 1 (右)
+  mute: false,
+  solo: false,
+  sourceType: 'soundfont', // 'soundfont' 采样音色 | 'synth' Tone.js 合成器 | 'sample' 用户上传的采样 | 'drums' 鼓组
+  synth: DEFAULT_SYNTH,
+  sample: DEFAULT_SAMPLE,
 };
 
 const DURATIONS = [
   { label: '全音符 (1n)', value: '1n' },
+  { label: '附点二分音符 (2n.)', value: '2n.' },
   { label: '二分音符 (2n)', value: '2n' },
+  { label: '附点四分音符 (4n.)', value: '4n.' },
+  { label: '二分三连音 (2t)', value: '2t' },
   { label: '四分音符 (4n)', value: '4n' },
+  { label: '附点八分音符 (8n.)', value: '8n.' },
+  { label: '四分三连音 (4t)', value: '4t' },
   { label: '八分音符 (8n)', value: '8n' },
+  { label: '附点十六分音符 (16n.)', value: '16n.' },
+  { label: '八分三连音 (8t)', value: '8t' },
   { label: '十六分音符 (16n)', value: '16n' },
+  { label: '十六分三连音 (16t)', value: '16t' },
 ];
 
+// 时值对应的 step 数 (1 step = 十六分音符)，三连音为小数
 const DURATION_STEPS = {
   '1n': 16,
+  '2n.': 12,
   '2n': 8,
+  '4n.': 6,
+  '2t': 16 / 3,
   '4n': 4,
+  '8n.': 3,
+  '4t': 8 / 3,
   '8n': 2,
+  '16n.': 1.5,
+  '8t': 4 / 3,
   '16n': 1,
+  '16t': 2 / 3,
 };
 
+// 琶音速率只用整数 step 的时值，生成的音符仍落在网格上
+const ARP_RATES = DURATIONS.filter(d => Number.isInteger(DURATION_STEPS[d.value]));
+// 量化网格：音符起点本来就在十六分音符网格上，从八分音符起才有意义
+const QUANTIZE_GRIDS = ARP_RATES.filter(d => DURATION_STEPS[d.value] > 1);
+
+// 节点力度使用 MIDI 力度值 (1-127)，DEFAULT_VELOCITY 对应 100% 音量
+const DEFAULT_VELOCITY = 100;
+const VELOCITY_LANE_HEIGHT = 80;
+const TEMPO_LANE_HEIGHT = 40;
+const CHORD_STRIP_HEIGHT = 22;
+
+// 预设音量 (0-4, 1 为 100%) 换算为 MIDI 力度 (1-127)
+const volumeToVelocity = (volume) => Math.max(1, Math.min(127, Math.round((volume ?? 1) * 100)));
+
+// 节点最终输出的 MIDI 力度 = 节点力度 * 预设音量
+const getOutputVelocity = (node, preset) => volumeToVelocity((preset.volume ?? 1) * node.velocity / DEFAULT_VELOCITY);
+
+const clampVelocity = (v) => Math.max(1, Math.min(127, Math.round(v)));
+
+// 旧版本保存的节点没有 velocity 字段，音长以 duration 字符串 ('8n' 等) 表示，
+// 现在统一用 length (step 数，可以是任意值) 表示
+const migrateNode = ({ duration, ...node }) => ({
+  velocity: DEFAULT_VELOCITY,
+  ...node,
+  length: node.length ?? DURATION_STEPS[duration] ?? 1,
+});
+
+// 根据 length 找到对应的时值名称，没有对应项时返回 null
+const findDurationByLength = (length) => DURATIONS.find(d => Math.abs(DURATION_STEPS[d.value] - length) < 1e-6)?.value ?? null;
+
 const generateId = () => Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
 
 // 将 MIDI 编号转换为音名或频率
@@ -88,15 +177,417 @@ const getStorageKey = (key, spaceId) => {
   return `space_${spaceId}_${key}`;
 };
 
-const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
+// 上传采样的根音与音域可选的音
+const SAMPLE_NOTE_OPTIONS = Array.from({ length: MAX_SAMPLE_MIDI - MIN_SAMPLE_MIDI + 1 }, (_, i) => ({
+  label: midiToNote(MIN_SAMPLE_MIDI + i),
+  value: MIN_SAMPLE_MIDI + i,
+}));
+
+// 钢琴音域 A0 - C8 内的全部音，用于倒影的轴音
+const NOTE_OPTIONS = [...MIDI_RANGE].reverse().map(midi => ({ label: midiToNote(midi), value: midi }));
+
+const isSoundfontPreset = (preset) => (preset.sourceType ?? 'soundfont') === 'soundfont';
+
+// 将节点转换为 Tone.Part 的事件数据 (实时播放与离线渲染共用)
+// 律动在这里生效：start/end 为加上摇摆和模板后的 step，offset 为人性化的时间偏移 (秒)
+const buildPartData = (nodes, presets, masterVolume, groove, timeSignatures) => nodes.map(node => {
+  // Find preset for config
+  const preset = presets.find(p => p.id === node.presetId) || presets[0];
+  const { start, end, offsetSeconds, velocity } = applyGroove(node, groove, timeSignatures);
+  const grooved = { ...node, velocity };
+  return {
+    time: `0:0:${start}`,
+    start,
+    end,
+    offset: offsetSeconds,
+    midi: node.midi,
+    presetId: preset.id,
+    note: midiToNote(node.midi),
+    velocity: (preset.volume ?? 1) * masterVolume * (grooved.velocity / DEFAULT_VELOCITY), // 预设音量 * 总音量 * 节点力度
+    midiVelocity: getOutputVelocity(grooved, preset),
+    instrument: isSoundfontPreset(preset) ? preset.instrument : null, // 合成器、上传采样和鼓组不需要加载 soundfont
+  };
+});
+
+// 离线渲染时在乐曲结尾多留的时长 (秒)，让最后的音符自然衰减
+const RENDER_TAIL_SECONDS = 2;
+
+// 用已加载的 soundfont 采样重建一个 Tone 采样器，实时播放和离线渲染共用
+const createSoundfontSampler = (context, instrument) => new Tone.Sampler({
+  context,
+  urls: instrument.buffers,
+  attack: 0.01,
+  release: 0.3,
+});
+
+// 音源变化时才重建：soundfont 按音色名，合成器和上传采样按全部参数
+const getSourceKey = (preset) => {
+  if (preset.sourceType === 'synth') return `synth:${JSON.stringify(normalizeSynth(preset.synth))}`;
+  if (preset.sourceType === 'sample') return `sample:${JSON.stringify(getActiveZones(preset.sample))}`;
+  if (preset.sourceType === 'drums') return 'drums';
+  return `soundfont:${preset.instrument}`;
+};
+
+/**
+ * 预设需要的 soundfont 或采样是否都已加载
+ * @param {{ instruments: object, sampleBuffers: Object<string, AudioBuffer> }} loaded 已加载的音色与采样
+ */
+const isPresetSourceReady = (preset, { instruments, sampleBuffers }) => {
+  if (preset.sourceType === 'synth' || preset.sourceType === 'drums') return true;
+  if (preset.sourceType === 'sample') {
+    const zones = getActiveZones(preset.sample);
+    return zones.length > 0 && zones.every(zone => sampleBuffers[zone.sampleId]);
+  }
+  return !!instruments[preset.instrument];
+};
+
+// 按预设创建未连接的音源；还没加载好时返回 null
+const createPresetSource = (context, preset, loaded) => {
+  if (!isPresetSourceReady(preset, loaded)) return null;
+  if (preset.sourceType === 'synth') return createSynthSource(context, preset.synth);
+  if (preset.sourceType === 'sample') return createSampleSource(context, preset.sample, loaded.sampleBuffers);
+  if (preset.sourceType === 'drums') return createDrumKitSource(context);
+  return createSoundfontSampler(context, loaded.instruments[preset.instrument]);
+};
+
+// 混音台：每个预设一条通道 输入 -> 插入效果链 -> Tone.Channel (声像/静音/独奏) -> 主输出总线，旁路一个电平表
+const applyChannelSettings = (channel, preset) => {
+  channel.pan.value = preset.pan ?? 0;
+  channel.mute = !!preset.mute;
+  channel.solo = !!preset.solo;
+};
+
+const applyStripEffects = (strip, preset) => {
+  const key = getEffectChainKey(preset.effects);
+  if (key === strip.effectsKey) {
+    updateEffectNodes(strip.effects, preset.effects);
+    return;
+  }
+  strip.input.disconnect();
+  strip.effects.forEach(node => node.dispose());
+  strip.effects = createEffectNodes(strip.input.context, preset.effects);
+  strip.input.chain(...strip.effects, strip.channel);
+  strip.effectsKey = key;
+};
+
+const createChannelStrip = (context, preset, destination) => {
+  const input = new Tone.Gain({ context });
+  const channel = new Tone.Channel({ context }).connect(destination);
+  const meter = new Tone.Meter({ context, smoothing: 0.8, normalRange: true });
+  channel.connect(meter);
+  const strip = { input, channel, meter, effects: [], effectsKey: null, source: null, sourceKey: null };
+  applyChannelSettings(channel, preset);
+  applyStripEffects(strip, preset);
+  return strip;
+};
+
+const disposeChannelStrip = (strip) => {
+  strip.source?.dispose();
+  strip.effects.forEach(node => node.dispose());
+  [strip.input, strip.channel, strip.meter].forEach(node => node.dispose());
+};
+
+// 节拍器：本地合成的短促 click，不依赖 soundfont；小节第一拍为重音
+const DEFAULT_METRONOME = { enabled: false, volume: 0.8, countInBars: 0 };
+
+const createClickSynth = (volume) => {
+  const synth = new Tone.Synth({
+    oscillator: { type: 'triangle' },
+    envelope: { attack: 0.001, decay: 0.04, sustain: 0, release: 0.02 },
+  }).toDestination();
+  synth.volume.value = Tone.gainToDb(volume);
+  return synth;
+};
+
+const playClick = (synth, time, isAccent) => {
+  synth.triggerAttackRelease(isAccent ? 'C6' : 'G5', 0.03, time, isAccent ? 1 : 0.6);
+};
+
+// 触发浏览器下载
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// 一个 step 对应十六分音符
+const TICKS_PER_STEP = PPQ / 4;
+
+// 生成 type-1 MIDI 文件：第 0 轨为速度/拍号，其后每个预设一轨
+const buildMidiFile = ({ nodes, presets, bpm, tempoChanges, timeSignatures, groove }) => {
+  // SMF 没有速度渐变，渐变段按 step 逐格写入让每格时长一致的速度
+  const tempoPoints = getTempoPoints(bpm, tempoChanges);
+  const tempoEvents = tempoPoints.flatMap((point, i) => {
+    const next = tempoPoints[i + 1];
+    if (next?.ramp !== 'linear') return [{ tick: point.step * TICKS_PER_STEP, type: 'tempo', bpm: point.bpm }];
+    const events = [];
+    for (let step = point.step; step < next.step; step++) {
+      const seconds = stepToSeconds(tempoPoints, step + 1) - stepToSeconds(tempoPoints, step);
+      events.push({ tick: step * TICKS_PER_STEP, type: 'tempo', bpm: (60 / 4) / seconds });
+    }
+    return events;
+  });
+
+  const conductor = [
+    ...tempoEvents,
+    ...getMeterSegments(timeSignatures).map(({ step, numerator, denominator }) => (
+      { tick: step * TICKS_PER_STEP, type: 'timeSignature', numerator, denominator }
+    )),
+  ];
+
+  // 鼓组写在 GM 打击乐通道，不需要音色
+  const getPresetChannel = (preset, index) => (preset.sourceType === 'drums' ? DRUM_CHANNEL : getMelodicChannel(index));
+
+  const presetTracks = presets.map((preset, index) => {
+    const channel = getPresetChannel(preset, index);
+    const program = Math.max(0, GM_INSTRUMENTS.indexOf(preset.instrument));
+    return [
+      { tick: 0, type: 'trackName', text: preset.name },
+      ...(preset.sourceType === 'drums' ? [] : [{ tick: 0, type: 'programChange', channel, program }]),
+    ];
+  });
+
+  nodes.forEach(node => {
+    const preset = presets.find(p => p.id === node.presetId) || presets[0];
+    const index = presets.indexOf(preset);
+    const channel = getPresetChannel(preset, index);
+    // 律动写进音符的位置和力度，人性化的时间偏移按所在格的时长换算成 tick
+    const grooved = applyGroove(node, groove, timeSignatures);
+    const velocity = getOutputVelocity({ ...node, velocity: grooved.velocity }, preset);
+    const stepSeconds = stepToSeconds(tempoPoints, node.step + 1) - stepToSeconds(tempoPoints, node.step);
+    const start = Math.max(0, Math.round((grooved.start + grooved.offsetSeconds / stepSeconds) * TICKS_PER_STEP));
+    const length = Math.max(1, Math.round((grooved.end - grooved.start) * TICKS_PER_STEP));
+    presetTracks[index].push(
+      { tick: start, type: 'noteOn', channel, note: node.midi, velocity },
+      { tick: start + length, type: 'noteOff', channel, note: node.midi },
+    );
+  });
+
+  return encodeMidiFile({ tracks: [conductor, ...presetTracks] });
+};
+
+// 按 GM 音色族 (每 8 个 program 一族) 优先、编号距离其次，找到 INSTRUMENTS 中最接近的音色
+const findClosestInstrument = (program) => {
+  const family = Math.floor(program / 8);
+  const score = (value) => {
+    const p = GM_INSTRUMENTS.indexOf(value);
+    return Math.abs(p - program) + (Math.floor(p / 8) === family ? 0 : 128);
+  };
+  return INSTRUMENTS.reduce((best, item) => (score(item.value) < score(best.value) ? item : best)).value;
+};
+
+const findClosestDuration = (steps) => DURATIONS.reduce((best, item) => (
+  Math.abs(DURATION_STEPS[item.value] - steps) < Math.abs(DURATION_STEPS[best.value] - steps) ? item : best
+)).value;
+
+// 超出 21-108 的音按八度折回范围内
+const fitMidiToRange = (midi) => {
+  let m = midi;
+  while (m < 21) m += 12;
+  while (m > 108) m -= 12;
+  return m;
+};
+
+// 将解析后的 MIDI 转换为预设和节点：每个 轨道/通道 组合对应一个新预设，打击乐通道变为鼓组预设
+const buildSpaceFromMidi = (song, presetOffset) => {
+  const ticksPerStep = song.ppq / 4;
+  const groups = new Map();
+  const tempoEvents = [];
+  const meterEvents = [];
+
+  song.tracks.forEach((events, trackIndex) => {
+    let trackName = null;
+    const programs = {};
+    const openNotes = {};
+
+    events.forEach(event => {
+      if (event.type === 'tempo') tempoEvents.push(event);
+      if (event.type === 'timeSignature') meterEvents.push(event);
+      if (event.type === 'trackName' && trackName === null) trackName = event.text.trim();
+      if (event.type === 'programChange') programs[event.channel] = event.program;
+
+      if (event.type === 'noteOn') {
+        const key = `${trackIndex}:${event.channel}`;
+        if (!groups.has(key)) {
+          groups.set(key, { trackIndex, channel: event.channel, trackName, program: programs[event.channel] ?? 0, notes: [] });
+        }
+        const note = { midi: event.note, start: event.tick, end: null, velocity: event.velocity };
+        groups.get(key).notes.push(note);
+        const openKey = `${event.channel}:${event.note}`;
+        (openNotes[openKey] = openNotes[openKey] || []).push(note);
+      }
+
+      if (event.type === 'noteOff') {
+        const note = openNotes[`${event.channel}:${event.note}`]?.shift();
+        if (note) note.end = event.tick;
+      }
+    });
+  });
+
+  const groupList = [...groups.values()];
+  const presets = [];
+  const nodes = [];
+
+  groupList.forEach((group, index) => {
+    const sameTrackCount = groupList.filter(g => g.trackIndex === group.trackIndex).length;
+    const baseName = group.trackName || `轨道 ${group.trackIndex + 1}`;
+    const preset = {
+      ...DEFAULT_PRESET,
+      id: generateId(),
+      name: sameTrackCount > 1 ? `${baseName} (Ch ${group.channel + 1})` : baseName,
+      color: RAINBOW_COLORS[(presetOffset + index) % RAINBOW_COLORS.length],
+      instrument: findClosestInstrument(group.program),
+      ...(group.channel === DRUM_CHANNEL ? { sourceType: 'drums', duration: '16n' } : {}),
+    };
+    presets.push(preset);
+
+    group.notes.forEach(note => {
+      const step = Math.round(note.start / ticksPerStep);
+      const lengthTicks = note.end !== null ? note.end - note.start : ticksPerStep;
+      nodes.push({
+        id: generateId(),
+        midi: fitMidiToRange(note.midi),
+        time: `0:0:${step}`,
+        step,
+        presetId: preset.id,
+        length: DURATION_STEPS[findClosestDuration(lengthTicks / ticksPerStep)],
+        velocity: note.velocity,
+      });
+    });
+  });
+
+  // 第一个速度作为起始速度，其余变为速度轨上的跳变点
+  const clampBpm = (value) => Math.max(MIN_BPM, Math.min(MAX_BPM, Math.round(value)));
+  const sortedTempos = tempoEvents.sort((a, b) => a.tick - b.tick);
+  const bpm = sortedTempos.length > 0 ? clampBpm(sortedTempos[0].bpm) : null;
+  const tempoChanges = [];
+  sortedTempos.slice(1).forEach(event => {
+    const step = Math.round(event.tick / ticksPerStep);
+    const value = clampBpm(event.bpm);
+    if (step === 0) return;
+    const last = tempoChanges[tempoChanges.length - 1];
+    if (last?.step === step) tempoChanges.pop();
+    if ((tempoChanges[tempoChanges.length - 1]?.bpm ?? bpm) !== value) tempoChanges.push({ step, bpm: value, ramp: 'instant' });
+  });
+
+  // 拍号事件按 tick 换算成小节序号：每个变化点落在前一个拍号的小节线上
+  let timeSignatures = null;
+  meterEvents.sort((a, b) => a.tick - b.tick).forEach(event => {
+    const step = event.tick / ticksPerStep;
+    const bar = timeSignatures ? getBarBeat(timeSignatures, step).bar - 1 : 0;
+    const numerator = Math.max(1, Math.min(16, event.numerator));
+    const denominator = TIME_SIGNATURE_DENOMINATORS.includes(event.denominator) ? event.denominator : 4;
+    timeSignatures = normalizeTimeSignatures([...(timeSignatures || []), { bar, numerator, denominator }]);
+  });
+
+  return { presets, nodes, bpm, tempoChanges, timeSignatures };
+};
+
+// 剪贴板：同时写入系统剪贴板 (JSON 文本，刷新页面后仍可粘贴) 和内存 (切换空间时 SpaceWorkspace 会重新挂载)
+const CLIPBOARD_FORMAT = 'kaixin233/piano-roll-nodes';
+let appClipboard = null;
+
+const parseClipboardText = (text) => {
+  try {
+    const data = JSON.parse(text);
+    return data?.format === CLIPBOARD_FORMAT && Array.isArray(data.nodes) && Array.isArray(data.presets) ? data : null;
+  } catch {
+    return null;
+  }
+};
+
+const moveItem = (list, from, to) => {
+  const next = [...list];
+  next.splice(to, 0, ...next.splice(from, 1));
+  return next;
+};
+
+const isTypingTarget = (target) => target.tagName === 'INPUT' || target.tagName === 'TEXTAREA';
+
+// 电平表：打开时自己逐帧读取 Tone.Meter，只有电平条重新渲染，不会带动整个工作区
+const LevelMeter = ({ getMeter, active }) => {
+  const [level, setLevel] = useState(0);
+  const getMeterRef = useRef(getMeter);
+  useEffect(() => {
+    getMeterRef.current = getMeter;
+  }, [getMeter]);
+
+  useEffect(() => {
+    if (!active) return;
+    let frame;
+    const update = () => {
+      setLevel(Math.min(1, getMeterRef.current()?.getValue() ?? 0));
+      frame = requestAnimationFrame(update);
+    };
+    frame = requestAnimationFrame(update);
+    return () => cancelAnimationFrame(frame);
+  }, [active]);
+
+  return (
+    <div style={{ width: 8, background: '#141414', borderRadius: 2, position: 'relative', overflow: 'hidden' }}>
+      <div
+        style={{
+          position: 'absolute',
+          left: 0,
+          right: 0,
+          bottom: 0,
+          height: `${level * 100}%`,
+          background: level > 0.9 ? '#ff4d4f' : '#52c41a',
+        }}
+      />
+    </div>
+  );
+};
+
+const SpaceWorkspace = ({ spaceId, spaceName, headerPrefix }) => {
   const [nodes, setNodes] = useState(() => {
     const saved = localStorage.getItem(getStorageKey('nodes', spaceId));
-    return saved ? JSON.parse(saved) : [];
+    return saved ? JSON.parse(saved).map(migrateNode) : [];
   });
   const [isPlaying, setIsPlaying] = useState(false);
   const [isLooping, setIsLooping] = useState(false);
+  // 循环区间 { start, end } (step)，为 null 时循环整首
+  const [loopRegion, setLoopRegion] = useState(() => {
+    const saved = localStorage.getItem(getStorageKey('loopRegion', spaceId));
+    return saved ? JSON.parse(saved) : null;
+  });
   const [currentStep, setCurrentStep] = useState(-1);
-  const [gridSteps, setGridSteps] = useState(64);
+  const [playheadStep, setPlayheadStep] = useState(0); // 播放光标：停止状态下从这里开始播放
+  const [metronome, setMetronome] = useState(() => {
+    const saved = localStorage.getItem(getStorageKey('metronome', spaceId));
+    return saved ? { ...DEFAULT_METRONOME, ...JSON.parse(saved) } : DEFAULT_METRONOME;
+  });
+  const metronomeRef = useRef(metronome);
+  // 主输出总线 (压缩/限制) 设置
+  const [masterBus, setMasterBus] = useState(() => {
+    const saved = localStorage.getItem(getStorageKey('masterBus', spaceId));
+    return saved ? { ...DEFAULT_MASTER_BUS, ...JSON.parse(saved) } : DEFAULT_MASTER_BUS;
+  });
+  const metronomeSynthRef = useRef(null);
+  const countInSynthRef = useRef(null);
+  const countInEndRef = useRef(0); // 预备拍结束的 AudioContext 时间
+  // 拍号 [{ bar, numerator, denominator }]，见 timeSignature.js
+  const [timeSignatures, setTimeSignatures] = useState(() => {
+    const saved = localStorage.getItem(getStorageKey('timeSignatures', spaceId));
+    return saved ? normalizeTimeSignatures(JSON.parse(saved)) : DEFAULT_TIME_SIGNATURES;
+  });
+  const timeSignaturesRef = useRef(timeSignatures);
+  // 调性与音阶，见 scale.js
+  const [keyScale, setKeyScale] = useState(() => {
+    const saved = localStorage.getItem(getStorageKey('keyScale', spaceId));
+    return saved ? { ...DEFAULT_KEY_SCALE, ...JSON.parse(saved) } : DEFAULT_KEY_SCALE;
+  });
+  // 摇摆、律动模板与人性化，见 groove.js
+  const [groove, setGroove] = useState(() => {
+    const saved = localStorage.getItem(getStorageKey('groove', spaceId));
+    return saved ? normalizeGroove(JSON.parse(saved)) : DEFAULT_GROOVE;
+  });
+  const [gridSteps, setGridSteps] = useState(() => (
+    getGridStepsFor(timeSignatures, Math.max(32, ...nodes.map(n => n.step + n.length)))
+  ));
   const [cellHeight, setCellHeight] = useState(28);
   const [cellWidth, setCellWidth] = useState(60);
 
@@ -111,6 +602,12 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
     return saved !== null ? parseInt(saved) : 120;
   });
 
+  // 速度轨变化点 [{ step, bpm, ramp }]，bpm 为第 0 步的起始速度，见 tempoMap.js
+  const [tempoChanges, setTempoChanges] = useState(() => {
+    const saved = localStorage.getItem(getStorageKey('tempoChanges', spaceId));
+    return saved ? JSON.parse(saved) : [];
+  });
+
   const [presets, setPresets] = useState(() => {
     const saved = localStorage.getItem(getStorageKey('presets', spaceId));
     return saved ? JSON.parse(saved) : [DEFAULT_PRESET];
@@ -130,6 +627,11 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
   const [, setHistory] = useState([]);
   const [, setRedoStack] = useState([]);
   const [hoveredCell, setHoveredCell] = useState(null);
+  const [chordEntry, setChordEntry] = useState(DEFAULT_CHORD_ENTRY); // 和弦输入模式：单击放置整个和弦
+  const chordStripScrollRef = useRef(null);
+  const [arp, setArp] = useState(DEFAULT_ARP); // 琶音设置
+  const [isArpOpen, setIsArpOpen] = useState(false); // 琶音面板打开时在网格上预览结果
+  const [transformOptions, setTransformOptions] = useState({ semitones: 1, pivot: null, grid: '8n' }); // 选区变换设置，pivot 为空时以最早的音为轴
   const [selectedNodeIds, setSelectedNodeIds] = useState(new Set());
   
   // 框选相关状态
@@ -144,13 +646,35 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
     localStorage.setItem(getStorageKey('presets', spaceId), JSON.stringify(presets));
     localStorage.setItem(getStorageKey('activePresetId', spaceId), activePresetId);
     localStorage.setItem(getStorageKey('nodes', spaceId), JSON.stringify(nodes));
-  }, [masterVolume, bpm, presets, activePresetId, nodes, spaceId]);
+    localStorage.setItem(getStorageKey('loopRegion', spaceId), JSON.stringify(loopRegion));
+    localStorage.setItem(getStorageKey('metronome', spaceId), JSON.stringify(metronome));
+    localStorage.setItem(getStorageKey('timeSignatures', spaceId), JSON.stringify(timeSignatures));
+    localStorage.setItem(getStorageKey('tempoChanges', spaceId), JSON.stringify(tempoChanges));
+    localStorage.setItem(getStorageKey('masterBus', spaceId), JSON.stringify(masterBus));
+    localStorage.setItem(getStorageKey('keyScale', spaceId), JSON.stringify(keyScale));
+    localStorage.setItem(getStorageKey('groove', spaceId), JSON.stringify(groove));
+  }, [masterVolume, bpm, presets, activePresetId, nodes, loopRegion, metronome, timeSignatures, tempoChanges, masterBus, keyScale, groove, spaceId]);
 
   const instrumentsRef = useRef({});
+  const channelStripsRef = useRef({}); // presetId -> { input, effects, channel, meter, source, sourceKey }
+  const masterBusRef = useRef(null);
+  const instrumentLoadsRef = useRef({}); // 音色名 -> 加载中的 Promise
+  // 音色名 -> 'loaded' | 'failed'；没有记录的表示还在加载
+  const [instrumentStatus, setInstrumentStatus] = useState({});
+  const missingSourceWarnedRef = useRef(new Set()); // 本次播放中已提示过没有音色的预设
+  const sampleBuffersRef = useRef({}); // sampleId -> 解码后的 AudioBuffer
+  const sampleLoadsRef = useRef({}); // sampleId -> 加载中的 Promise
+  // sampleId -> 'loaded' | 'failed'；没有记录的表示还在加载
+  const [sampleStatus, setSampleStatus] = useState({});
+  const sampleFileInputRef = useRef(null);
+  const [isMixerOpen, setIsMixerOpen] = useState(false);
   const partRef = useRef(null);
   const loopRef = useRef(null);
   const scrollContainerRef = useRef(null);
   const xAxisScrollRef = useRef(null);
+  const velocityLaneScrollRef = useRef(null);
+  const tempoLaneScrollRef = useRef(null);
+  const tempoPointsRef = useRef(getTempoPoints(bpm, tempoChanges));
   const maxStepRef = useRef(0);
   const nodesRef = useRef(nodes);
   const hoveredCellRef = useRef(null);
@@ -158,8 +682,52 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
   const isLoopingRef = useRef(isLooping);
   const [isFullscreen, setIsFullscreen] = useState(false);
   const mouseDownPosRef = useRef(null);
+  const midiFileInputRef = useRef(null);
+  const [pendingMidiImport, setPendingMidiImport] = useState(null); // { fileName, presets, nodes, bpm }
+  const [pendingProjectImport, setPendingProjectImport] = useState(null); // { fileName, project }
+  const projectFileInputRef = useRef(null);
+  const [messageApi, messageContextHolder] = message.useMessage();
+  const [isAudioExportOpen, setIsAudioExportOpen] = useState(false);
+  const [audioExportOptions, setAudioExportOptions] = useState({ loops: 1, bitDepth: 16 });
+  const [audioExportProgress, setAudioExportProgress] = useState(null); // null 表示未在渲染
+  const audioExportAbortRef = useRef(null);
+
+  // MIDI 键盘录制
+  const [midiAccess, setMidiAccess] = useState(null);
+  const [midiInputs, setMidiInputs] = useState([]);
+  const [midiInputId, setMidiInputId] = useState(null);
+  const [midiOutputs, setMidiOutputs] = useState([]);
+  const [recordMode, setRecordMode] = useState('off'); // 'off' | 'step' 步进录制 | 'realtime' 实时录制
+  const [stepCursor, setStepCursor] = useState(0);
+  const stepCursorRef = useRef(0);
+  const heldMidiNotesRef = useRef(new Map()); // midi -> { nodeId, startTicks, voice }
+  const isTakeActiveRef = useRef(false); // 当前录音是否已写入过历史
 
   const activePreset = presets.find(p => p.id === activePresetId) || presets[0];
+  // 当前预设是鼓组时 Y 轴显示鼓名，开启折叠后网格只保留鼓组的行
+  const isDrumView = activePreset.sourceType === 'drums';
+  const midiRows = isDrumView && activePreset.collapseRows ? DRUM_ROWS : MIDI_RANGE;
+  const minRowMidi = midiRows[midiRows.length - 1];
+  const maxRowMidi = midiRows[0];
+  // 鼓组没有调性，不显示音阶也不吸附
+  const showScale = keyScale.enabled && !isDrumView;
+  const scalePitchClasses = useMemo(() => getScalePitchClasses(keyScale), [keyScale]);
+  const snapToScale = showScale && keyScale.snap;
+  const isChordEntry = chordEntry.enabled && !isDrumView;
+  // 和弦输入时以点击的格子为根音，超出 21-108 的音舍去
+  const getChordMidis = (root) => buildChord(root, chordEntry, showScale ? scalePitchClasses : null)
+    .filter(midi => midi >= 21 && midi <= 108);
+  const isScaleRoot = (midi) => ((midi % 12) + 12) % 12 === keyScale.root;
+  // 网格的行底色按 12 行循环：音阶外的行压暗，主音行着色；未启用调性时只压暗 C 行
+  const rowBandBackground = showScale
+    ? `linear-gradient(to bottom, ${Array.from({ length: 12 }, (_, i) => {
+      const midi = maxRowMidi - i;
+      let color = 'transparent';
+      if (isScaleRoot(midi)) color = 'rgba(23, 125, 220, 0.08)';
+      else if (!isInScale(scalePitchClasses, midi)) color = '#0c0c0c';
+      return `${color} ${i * cellHeight}px ${(i + 1) * cellHeight}px`;
+    }).join(', ')})`
+    : `linear-gradient(to bottom, #111 ${cellHeight}px, transparent ${cellHeight}px)`;
 
   // Fullscreen listener
   useEffect(() => {
@@ -187,10 +755,31 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
     isLoopingRef.current = isLooping;
   }, [isLooping]);
 
-  // Update BPM
+  // 速度轨：每个变化点上用 Transport 事件设置 bpm 自动化，循环跳回时按循环起点重新设置
   useEffect(() => {
-    Tone.Transport.bpm.value = bpm;
-  }, [bpm]);
+    const transport = Tone.getTransport();
+    const points = getTempoPoints(bpm, tempoChanges);
+    tempoPointsRef.current = points;
+    const position = transport.ticks / (transport.PPQ / 4);
+    if (transport.state === 'started') {
+      applyTempoAt(transport.bpm, points, position, Tone.now());
+    } else {
+      transport.bpm.value = getTempoAt(points, position);
+    }
+
+    const eventIds = points.map(point => transport.schedule((time) => {
+      applyTempoAt(transport.bpm, points, point.step, time);
+    }, `0:0:${point.step}`));
+    const handleLoop = (time) => {
+      applyTempoAt(transport.bpm, points, transport.getTicksAtTime(time) / (transport.PPQ / 4), time);
+    };
+    transport.on('loop', handleLoop);
+
+    return () => {
+      eventIds.forEach(id => transport.clear(id));
+      transport.off('loop', handleLoop);
+    };
+  }, [bpm, tempoChanges]);
 
   // 使用 ref 追踪 nodes
   useEffect(() => {
@@ -202,37 +791,71 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
     selectedNodeIdsRef.current = selectedNodeIds;
   }, [selectedNodeIds]);
 
+  useEffect(() => {
+    timeSignaturesRef.current = timeSignatures;
+  }, [timeSignatures]);
+
+  // 会被导入 MIDI 改动的乐曲设置，导入时和音符一起记入历史
+  const songStateRef = useRef({ presets, activePresetId, bpm, tempoChanges, timeSignatures });
+  useEffect(() => {
+    songStateRef.current = { presets, activePresetId, bpm, tempoChanges, timeSignatures };
+  }, [presets, activePresetId, bpm, tempoChanges, timeSignatures]);
+
+  // 音符超出网格时按小节扩展网格
+  const expandGridTo = useCallback((endStep) => {
+    setGridSteps(prev => (endStep > prev ? getGridStepsFor(timeSignaturesRef.current, endStep) : prev));
+  }, []);
+
+  // 历史条目：普通编辑只记录音符数组；withSong 时记录 { nodes, song }，同时保存预设、速度和拍号
+  const captureHistoryEntry = useCallback((withSong) => (withSong
+    ? { nodes: nodesRef.current, song: songStateRef.current }
+    : nodesRef.current), []);
+
+  const restoreHistoryEntry = useCallback((entry) => {
+    if (Array.isArray(entry)) {
+      setNodes(entry);
+      return;
+    }
+    const { presets: savedPresets, activePresetId: savedActivePresetId, bpm: savedBpm, tempoChanges: savedTempoChanges, timeSignatures: savedTimeSignatures } = entry.song;
+    setNodes(entry.nodes);
+    setPresets(savedPresets);
+    setActivePresetId(savedActivePresetId);
+    setBpm(savedBpm);
+    setTempoChanges(savedTempoChanges);
+    setTimeSignatures(savedTimeSignatures);
+  }, []);
+
   // 记录历史辅助函数
-  const pushToHistory = useCallback(() => {
-    setHistory(prev => [...prev, nodesRef.current]);
+  const pushToHistory = useCallback(({ withSong = false } = {}) => {
+    setHistory(prev => [...prev, captureHistoryEntry(withSong)]);
     setRedoStack([]); // 新的操作清空重做栈
-  }, []);
+  }, [captureHistoryEntry]);
 
   const performUndo = useCallback(() => {
     setHistory(prevHistory => {
       if (prevHistory.length === 0) return prevHistory;
-      const previousNodes = prevHistory[prevHistory.length - 1];
+      const previous = prevHistory[prevHistory.length - 1];
       const newHistory = prevHistory.slice(0, -1);
 
-      setRedoStack(prevRedo => [...prevRedo, nodesRef.current]);
-      setNodes(previousNodes);
+      setRedoStack(prevRedo => [...prevRedo, captureHistoryEntry(!Array.isArray(previous))]);
+      restoreHistoryEntry(previous);
 
       return newHistory;
     });
-  }, []);
+  }, [captureHistoryEntry, restoreHistoryEntry]);
 
   const performRedo = useCallback(() => {
     setRedoStack(prevRedo => {
       if (prevRedo.length === 0) return prevRedo;
-      const nextNodes = prevRedo[prevRedo.length - 1];
+      const next = prevRedo[prevRedo.length - 1];
       const newRedo = prevRedo.slice(0, -1);
 
-      setHistory(prevHistory => [...prevHistory, nodesRef.current]);
-      setNodes(nextNodes);
+      setHistory(prevHistory => [...prevHistory, captureHistoryEntry(!Array.isArray(next))]);
+      restoreHistoryEntry(next);
 
       return newRedo;
     });
-  }, []);
+  }, [captureHistoryEntry, restoreHistoryEntry]);
 
   const handleMoveNodes = useCallback((deltaStep, deltaMidi) => {
     const currentSelected = selectedNodeIdsRef.current;
@@ -244,10 +867,15 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
     // Boundary checks (Group move logic: if any node hits the wall, stop all)
     const canMoveStep = selectedNodes.every(n => n.step + deltaStep >= 0);
     
-    // Check MIDI bounds (21 to 108)
+    // 开启音阶吸附时上下移动按音阶级进，八度移动不受影响
+    const moveMidi = (midi) => (snapToScale && deltaMidi % 12 !== 0
+      ? stepInScale(scalePitchClasses, midi, deltaMidi)
+      : midi + deltaMidi);
+
+    // Check MIDI bounds (21 to 108, 鼓组折叠时为 35 到 81)
     const canMoveMidi = selectedNodes.every(n => {
-        const newMidi = n.midi + deltaMidi;
-        return newMidi >= 21 && newMidi <= 108;
+        const newMidi = moveMidi(n.midi);
+        return newMidi >= minRowMidi && newMidi <= maxRowMidi;
     });
 
     if (canMoveStep && canMoveMidi) {
@@ -259,7 +887,7 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
             return {
                 ...n,
                 step: newStep,
-                midi: n.midi + deltaMidi,
+                midi: moveMidi(n.midi),
                 time: `0:0:${newStep}` 
             };
         });
@@ -268,16 +896,48 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
 
         // Handle grid expansion if moving right
         if (deltaStep > 0) {
-             const maxEnd = Math.max(...newNodes.map(n => n.step + (DURATION_STEPS[n.duration] || 1)), 0);
-             setGridSteps(prev => {
-                if (maxEnd > prev) {
-                     return Math.ceil(maxEnd / 32) * 32 + 32;
-                }
-                return prev;
-             });
+             expandGridTo(Math.max(...newNodes.map(n => n.step + n.length), 0));
         }
     }
-  }, [pushToHistory]);
+  }, [pushToHistory, expandGridTo, minRowMidi, maxRowMidi, snapToScale, scalePitchClasses]);
+
+  // 选区沿音阶按级移调 (如 +2 为上行三度)，旋律保持在调内；超出 21-108 时不移动
+  const handleTransposeInScale = (degrees) => {
+    applySelectionTransform(selected => selected.map(n => ({ ...n, midi: stepInScale(scalePitchClasses, n.midi, degrees) })));
+  };
+
+  // 对选区执行变换 (见 transforms.js) 并记录一条历史：超出 21-108 或产生重叠时不变换
+  const applySelectionTransform = (transform) => {
+    const currentSelected = selectedNodeIdsRef.current;
+    const currentNodes = nodesRef.current;
+    const selected = currentNodes.filter(n => currentSelected.has(n.id));
+    if (selected.length === 0) return;
+
+    const transformed = transform(selected);
+    if (transformed.some(n => n.midi < 21 || n.midi > 108)) {
+      messageApi.warning('变换后超出音域范围 (A0 - C8)');
+      return;
+    }
+
+    // 变换后与其他音符或彼此落在同一格时不变换，避免音符被合并丢失
+    const occupied = new Set(currentNodes.filter(n => !currentSelected.has(n.id)).map(n => `${n.midi}:${n.step}`));
+    const hasCollision = transformed.some(n => {
+      const key = `${n.midi}:${n.step}`;
+      if (occupied.has(key)) return true;
+      occupied.add(key);
+      return false;
+    });
+    if (hasCollision) {
+      messageApi.warning('变换后有音符与其他音符重叠，未执行变换');
+      return;
+    }
+
+    const transformedById = new Map(transformed.map(n => [n.id, { ...n, time: `0:0:${n.step}` }]));
+    pushToHistory();
+    const newNodes = currentNodes.map(n => transformedById.get(n.id) ?? n);
+    setNodes(newNodes);
+    expandGridTo(Math.max(...newNodes.map(n => n.step + n.length), 0));
+  };
 
   const handleDeleteNodes = useCallback(() => {
     const currentSelected = selectedNodeIdsRef.current;
@@ -303,6 +963,7 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
     }
   }, [pushToHistory]);
 
+  // valueOrDirection: 'left' / 'right' 按一步缩短/延长，或者直接传入 DURATIONS 中的时值
   const handleChangeDuration = useCallback((valueOrDirection) => {
         const currentSelected = selectedNodeIdsRef.current;
         if (currentSelected.size > 0) {
@@ -316,39 +977,295 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
             const newNodes = currentNodes.map(node => {
                 if (!currentSelected.has(node.id)) return node;
                 
-                let newDuration;
+                let newLength;
                 if (isDirectional) {
-                    const currentIndex = DURATIONS.findIndex(d => d.value === node.duration);
-                    if (currentIndex === -1) return node.duration;
-
-                    let newIndex;
-                    if (isLengthen) {
-                        newIndex = Math.max(0, currentIndex - 1);
-                    } else {
-                        newIndex = Math.min(DURATIONS.length - 1, currentIndex + 1);
-                    }
-                    newDuration = DURATIONS[newIndex].value;
+                    newLength = isLengthen ? Math.floor(node.length) + 1 : Math.max(1, Math.ceil(node.length) - 1);
                 } else {
-                    newDuration = valueOrDirection;
+                    newLength = DURATION_STEPS[valueOrDirection];
                 }
 
-                return { ...node, duration: newDuration };
+                return { ...node, length: newLength };
             });
             
             setNodes(newNodes);
             
             // Handle grid expansion if lengthened or set to longer duration
             // Simply recalculate max end for safety
-            const maxEnd = Math.max(...newNodes.map(n => n.step + (DURATION_STEPS[n.duration] || 1)), 0);
-             setGridSteps(prev => {
-                if (maxEnd > prev) {
-                     return Math.ceil(maxEnd / 32) * 32 + 32;
-                }
-                return prev;
-             });
+            expandGridTo(Math.max(...newNodes.map(n => n.step + n.length), 0));
         }
+  }, [pushToHistory, expandGridTo]);
+
+  // update: (velocity) => newVelocity，作用于所有选中节点
+  const handleChangeVelocity = useCallback((update) => {
+    const currentSelected = selectedNodeIdsRef.current;
+    if (currentSelected.size === 0) return;
+    pushToHistory();
+    setNodes(nodesRef.current.map(n => (
+      currentSelected.has(n.id) ? { ...n, velocity: clampVelocity(update(n.velocity)) } : n
+    )));
   }, [pushToHistory]);
 
+  // 力度条拖动：按住后可横向连续绘制，整个拖动过程只记录一条历史
+  const handleVelocityLaneMouseDown = (e) => {
+    if (e.button !== 0) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    let hasPushedHistory = false;
+
+    const paint = (clientX, clientY) => {
+      const step = Math.floor((clientX - rect.left) / cellWidth);
+      const velocity = clampVelocity((1 - (clientY - rect.top) / VELOCITY_LANE_HEIGHT) * 127);
+      const currentNodes = nodesRef.current;
+      // 同一列有选中的节点时只改选中的，否则改这一列的全部节点
+      const atStep = currentNodes.filter(n => n.step === step);
+      const selectedAtStep = atStep.filter(n => selectedNodeIdsRef.current.has(n.id));
+      const targetIds = new Set((selectedAtStep.length > 0 ? selectedAtStep : atStep).map(n => n.id));
+      if (targetIds.size === 0) return;
+
+      if (!hasPushedHistory) {
+        pushToHistory();
+        hasPushedHistory = true;
+      }
+      const newNodes = currentNodes.map(n => (targetIds.has(n.id) ? { ...n, velocity } : n));
+      nodesRef.current = newNodes;
+      setNodes(newNodes);
+    };
+
+    const handleWindowMouseMove = (moveEvent) => paint(moveEvent.clientX, moveEvent.clientY);
+    const handleWindowMouseUp = () => {
+      window.removeEventListener('mousemove', handleWindowMouseMove);
+      window.removeEventListener('mouseup', handleWindowMouseUp);
+    };
+
+    paint(e.clientX, e.clientY);
+    window.addEventListener('mousemove', handleWindowMouseMove);
+    window.addEventListener('mouseup', handleWindowMouseUp);
+  };
+
+  // 拖动音符右端调整音长 (按 step 吸附)；拖动的是选中音符时，所有选中音符一起调整
+  const handleResizeMouseDown = (e, node) => {
+    if (e.button !== 0) return;
+    e.stopPropagation();
+
+    const startX = e.clientX;
+    const currentSelected = selectedNodeIdsRef.current;
+    const targetIds = currentSelected.has(node.id) ? currentSelected : new Set([node.id]);
+    const originalNodes = nodesRef.current;
+    let hasPushedHistory = false;
+
+    const handleWindowMouseMove = (moveEvent) => {
+      const deltaSteps = Math.round((moveEvent.clientX - startX) / cellWidth);
+      if (deltaSteps === 0 && !hasPushedHistory) return;
+      if (!hasPushedHistory) {
+        pushToHistory();
+        hasPushedHistory = true;
+      }
+      const newNodes = originalNodes.map(n => (
+        targetIds.has(n.id) ? { ...n, length: Math.max(Math.min(n.length, 1), n.length + deltaSteps) } : n
+      ));
+      nodesRef.current = newNodes;
+      setNodes(newNodes);
+    };
+
+    const handleWindowMouseUp = () => {
+      window.removeEventListener('mousemove', handleWindowMouseMove);
+      window.removeEventListener('mouseup', handleWindowMouseUp);
+      expandGridTo(Math.max(...nodesRef.current.map(n => n.step + n.length), 0));
+    };
+
+    window.addEventListener('mousemove', handleWindowMouseMove);
+    window.addEventListener('mouseup', handleWindowMouseUp);
+  };
+
+  // 鼠标拖动音符：拖动选中的音符时整个选区一起移动，按住 Alt/Option 拖动则复制。
+  // 边界与 handleMoveNodes 相同 (当前显示的行，step >= 0)，超出时吸附在边界上；整个拖动只记录一条历史
+  const handleNodeDragStart = (e, node) => {
+    const startX = e.clientX;
+    const startY = e.clientY;
+    const currentSelected = selectedNodeIdsRef.current;
+    const movingIds = currentSelected.has(node.id) ? new Set(currentSelected) : new Set([node.id]);
+    const originalNodes = nodesRef.current;
+    const movingNodes = originalNodes.filter(n => movingIds.has(n.id));
+    const stationaryCells = new Set(originalNodes.filter(n => !movingIds.has(n.id)).map(n => `${n.midi}:${n.step}`));
+    const copyIds = movingNodes.map(() => generateId());
+
+    const minStep = Math.min(...movingNodes.map(n => n.step));
+    const minMidi = Math.min(...movingNodes.map(n => n.midi));
+    const maxMidi = Math.max(...movingNodes.map(n => n.midi));
+
+    let hasPushedHistory = false;
+    let lastKey = '0:0:false';
+
+    const handleWindowMouseMove = (moveEvent) => {
+      const deltaStep = Math.max(-minStep, Math.round((moveEvent.clientX - startX) / cellWidth));
+      const deltaMidi = Math.max(minRowMidi - minMidi, Math.min(maxRowMidi - maxMidi, -Math.round((moveEvent.clientY - startY) / cellHeight)));
+      // 还没离开原位置时不复制，否则副本和原节点叠在同一格
+      const isDuplicate = moveEvent.altKey && (deltaStep !== 0 || deltaMidi !== 0);
+
+      const key = `${deltaStep}:${deltaMidi}:${isDuplicate}`;
+      if (key === lastKey) return;
+      // 有节点会落到其他音符所在的格子时不移动，停在上一个可用的位置
+      const targetCells = new Set(movingNodes.map(n => `${n.midi + deltaMidi}:${n.step + deltaStep}`));
+      if ([...targetCells].some(cell => stationaryCells.has(cell))) return;
+      lastKey = key;
+
+      if (!hasPushedHistory) {
+        pushToHistory();
+        hasPushedHistory = true;
+      }
+
+      const movedNodes = originalNodes.map(n => {
+        if (!movingIds.has(n.id)) return n;
+        const newStep = n.step + deltaStep;
+        return { ...n, step: newStep, midi: n.midi + deltaMidi, time: `0:0:${newStep}` };
+      });
+      // 复制：原位置留下一份新 id 的副本，被拖动的仍是原节点；跳过被拖动节点占用的格子
+      const copies = isDuplicate
+        ? movingNodes.map((n, i) => ({ ...n, id: copyIds[i] })).filter(n => !targetCells.has(`${n.midi}:${n.step}`))
+        : [];
+
+      const newNodes = [...movedNodes, ...copies];
+      nodesRef.current = newNodes;
+      setNodes(newNodes);
+    };
+
+    const handleWindowMouseUp = () => {
+      window.removeEventListener('mousemove', handleWindowMouseMove);
+      window.removeEventListener('mouseup', handleWindowMouseUp);
+      if (!hasPushedHistory) return;
+
+      setSelectedNodeIds(movingIds);
+      expandGridTo(Math.max(...nodesRef.current.map(n => n.step + n.length), 0));
+    };
+
+    window.addEventListener('mousemove', handleWindowMouseMove);
+    window.addEventListener('mouseup', handleWindowMouseUp);
+  };
+
+  // 批量添加节点 (粘贴/复制选区)：跳过已被占用的格子，选中新节点，记录一条历史；返回实际添加的节点
+  const insertNodes = useCallback((nodesToAdd) => {
+    const currentNodes = nodesRef.current;
+    const occupied = new Set(currentNodes.map(n => `${n.midi}:${n.step}`));
+    const addedNodes = nodesToAdd.filter(n => {
+      const key = `${n.midi}:${n.step}`;
+      if (occupied.has(key)) return false;
+      occupied.add(key);
+      return true;
+    });
+    if (addedNodes.length === 0) return addedNodes;
+
+    pushToHistory();
+    const newNodes = [...currentNodes, ...addedNodes];
+    setNodes(newNodes);
+    setSelectedNodeIds(new Set(addedNodes.map(n => n.id)));
+
+    expandGridTo(Math.max(...newNodes.map(n => n.step + n.length), 0));
+    return addedNodes;
+  }, [pushToHistory, expandGridTo]);
+
+  const buildClipboardPayload = useCallback(() => {
+    const currentSelected = selectedNodeIdsRef.current;
+    const copiedNodes = nodesRef.current.filter(n => currentSelected.has(n.id));
+    if (copiedNodes.length === 0) return null;
+    const presetIds = new Set(copiedNodes.map(n => n.presetId));
+    return {
+      format: CLIPBOARD_FORMAT,
+      spaceId,
+      nodes: copiedNodes.map(({ midi, step, length, velocity, presetId }) => ({ midi, step, length, velocity, presetId })),
+      presets: presets.filter(p => presetIds.has(p.id)),
+    };
+  }, [presets, spaceId]);
+
+  // 粘贴：最早的音符 (同一时刻取最低音) 对齐到鼠标悬停的格子；没有悬停时粘贴回原位置。
+  // 同一空间内按 id 对应预设；来自其他空间时 id 不可靠 (每个空间的默认预设 id 相同)，
+  // 按 名称+音源 匹配，找不到就重新创建，只添加实际粘贴的音符用到的预设
+  const pasteClipboard = useCallback((payload) => {
+    if (!payload || payload.nodes.length === 0) return;
+
+    const isSameSpace = payload.spaceId === spaceId;
+    const presetIdMap = {};
+    const createdPresets = [];
+    payload.presets.forEach(p => {
+      const match = isSameSpace
+        ? presets.find(x => x.id === p.id)
+        : presets.find(x => x.name === p.name && getSourceKey(x) === getSourceKey(p));
+      if (match) {
+        presetIdMap[p.id] = match.id;
+      } else {
+        const created = { ...p, id: generateId() };
+        createdPresets.push(created);
+        presetIdMap[p.id] = created.id;
+      }
+    });
+
+    const anchorNode = payload.nodes.reduce((a, b) => ((b.step < a.step || (b.step === a.step && b.midi < a.midi)) ? b : a));
+    const hovered = hoveredCellRef.current;
+    const minMidi = Math.min(...payload.nodes.map(n => n.midi));
+    const maxMidi = Math.max(...payload.nodes.map(n => n.midi));
+    const deltaStep = hovered ? hovered.step - anchorNode.step : 0;
+    const deltaMidi = hovered ? Math.max(21 - minMidi, Math.min(108 - maxMidi, hovered.midi - anchorNode.midi)) : 0;
+
+    const addedNodes = insertNodes(payload.nodes.map(n => {
+      const step = n.step + deltaStep;
+      return {
+        id: generateId(),
+        midi: n.midi + deltaMidi,
+        time: `0:0:${step}`,
+        step,
+        presetId: presetIdMap[n.presetId] ?? presets[0].id,
+        length: n.length,
+        velocity: n.velocity ?? DEFAULT_VELOCITY,
+      };
+    }));
+    const usedPresetIds = new Set(addedNodes.map(n => n.presetId));
+    const usedPresets = createdPresets.filter(p => usedPresetIds.has(p.id));
+    if (usedPresets.length > 0) setPresets(prev => [...prev, ...usedPresets]);
+  }, [presets, spaceId, insertNodes]);
+
+  // 复制选区并紧接在选区末尾之后
+  const handleDuplicateNodes = useCallback(() => {
+    const currentSelected = selectedNodeIdsRef.current;
+    const selectedNodes = nodesRef.current.filter(n => currentSelected.has(n.id));
+    if (selectedNodes.length === 0) return;
+
+    const minStep = Math.min(...selectedNodes.map(n => n.step));
+    const maxEnd = Math.max(...selectedNodes.map(n => n.step + n.length));
+    const offset = Math.ceil(maxEnd - minStep);
+    insertNodes(selectedNodes.map(n => ({
+      ...n,
+      id: generateId(),
+      step: n.step + offset,
+      time: `0:0:${n.step + offset}`,
+    })));
+  }, [insertNodes]);
+
+  // 复制/剪切/粘贴使用浏览器的剪贴板事件，无需申请剪贴板权限
+  useEffect(() => {
+    const handleCopy = (e) => {
+      if (isTypingTarget(e.target)) return;
+      const payload = buildClipboardPayload();
+      if (!payload) return;
+      e.preventDefault();
+      e.clipboardData.setData('text/plain', JSON.stringify(payload));
+      appClipboard = payload;
+      if (e.type === 'cut') handleDeleteNodes();
+    };
+    const handlePaste = (e) => {
+      if (isTypingTarget(e.target)) return;
+      const payload = parseClipboardText(e.clipboardData.getData('text/plain')) || appClipboard;
+      if (!payload) return;
+      e.preventDefault();
+      pasteClipboard(payload);
+    };
+    window.addEventListener('copy', handleCopy);
+    window.addEventListener('cut', handleCopy);
+    window.addEventListener('paste', handlePaste);
+    return () => {
+      window.removeEventListener('copy', handleCopy);
+      window.removeEventListener('cut', handleCopy);
+      window.removeEventListener('paste', handlePaste);
+    };
+  }, [buildClipboardPayload, pasteClipboard, handleDeleteNodes]);
+
   // 键盘监听
   useEffect(() => {
     const handleKeyDown = (e) => {
@@ -364,6 +1281,12 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
         }
       }
       
+      // Duplicate selection: Cmd/Ctrl + D
+      if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'd' && !isTypingTarget(e.target)) {
+        e.preventDefault();
+        handleDuplicateNodes();
+      }
+
       // Delete node on Delete or Backspace
       if (e.key === 'Delete' || e.key === 'Backspace') {
         // Prevent back navigation if focus is not in an input
@@ -399,12 +1322,12 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
     };
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [performUndo, performRedo, handleMoveNodes, handleDeleteNodes, handleChangeDuration]);
+  }, [performUndo, performRedo, handleMoveNodes, handleDeleteNodes, handleChangeDuration, handleDuplicateNodes]);
 
   // 初始滚动到 C4 (MIDI 60)
   useEffect(() => {
     if (scrollContainerRef.current) {
-      const c4Index = MIDI_RANGE.indexOf(60);
+      const c4Index = midiRows.indexOf(60);
       const containerHeight = scrollContainerRef.current.clientHeight;
       const targetScrollTop = c4Index * cellHeight - containerHeight / 2 + cellHeight / 2;
       scrollContainerRef.current.scrollTop = targetScrollTop;
@@ -419,50 +1342,356 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
     }));
   };
 
-  const addPreset = () => {
-    const newId = generateId();
-    // Cycle colors
-    const nextColorIndex = presets.length % RAINBOW_COLORS.length;
-    const newPreset = {
-      ...DEFAULT_PRESET,
-      id: newId,
-      name: `预设 ${presets.length + 1}`,
-      color: RAINBOW_COLORS[nextColorIndex],
-    };
-    setPresets(prev => [...prev, newPreset]);
-    setActivePresetId(newId);
+  const activeSynth = normalizeSynth(activePreset.synth);
+  const updateActiveSynth = (changes) => {
+    updatePreset(activePresetId, { synth: { ...activeSynth, ...changes } });
   };
 
-  // 更新 maxStepRef
-  useEffect(() => {
-    const max = Math.max(...nodes.map(n => n.step + (DURATION_STEPS[n.duration] || 1)), 0);
-    maxStepRef.current = max;
-  }, [nodes]);
-
-  const loadInstrument = useCallback(async (instrumentName) => {
-    if (instrumentsRef.current[instrumentName]) return instrumentsRef.current[instrumentName];
+  // 在播放光标所在小节插入一小节起步节奏
+  const insertDrumPattern = (pattern) => {
+    // 节奏按 4/4 编写，其他拍号下截到当前小节的长度，不溢出到下一小节
+    const { barStart, meter } = getBarBeat(timeSignatures, playheadStep);
+    insertNodes(pattern.hits.flatMap(([midi, steps, velocity = DEFAULT_VELOCITY]) => steps.filter(offset => offset < meter.stepsPerBar).map(offset => {
+      const step = barStart + offset;
+      return {
+        id: generateId(),
+        midi,
+        time: `0:0:${step}`,
+        step,
+        presetId: activePresetId,
+        length: 1,
+        velocity,
+      };
+    })));
+  };
 
-    try {
-      const instrument = await Soundfont.instrument(Tone.context.rawContext, instrumentName);
-      instrumentsRef.current[instrumentName] = instrument;
-      return instrument;
-    } catch (e) {
-      console.error('Failed to load instrument', instrumentName, e);
-      return null;
-    }
-  }, []);
+  // 和弦输入：整个和弦作为一条历史插入，已被占用的格子跳过
+  const placeChord = (root, step) => {
+    insertNodes(getChordMidis(root).map(midi => ({
+      id: generateId(),
+      midi,
+      time: `0:0:${step}`,
+      step,
+      presetId: activePresetId,
+      length: DURATION_STEPS[activePreset.duration] || 1,
+      velocity: DEFAULT_VELOCITY,
+    })));
+  };
 
-  // Preload instruments when presets change
-  useEffect(() => {
-    presets.forEach(p => {
-      if (p.instrument) loadInstrument(p.instrument);
+  // 和弦名称栏：在所有音符的起止点切分时间，识别每段同时发声的音 (鼓组除外)，相同的相邻段合并
+  const chordSegments = useMemo(() => {
+    const drumPresetIds = new Set(presets.filter(p => p.sourceType === 'drums').map(p => p.id));
+    const pitchedNodes = nodes.filter(n => !drumPresetIds.has(n.presetId));
+    const points = [...new Set(pitchedNodes.flatMap(n => [n.step, n.step + n.length]))].sort((a, b) => a - b);
+    const segments = [];
+    points.slice(0, -1).forEach((start, i) => {
+      const end = points[i + 1];
+      const name = detectChord(pitchedNodes.filter(n => n.step <= start && n.step + n.length > start).map(n => n.midi));
+      const last = segments[segments.length - 1];
+      if (!name) return;
+      if (last?.name === name && last.end === start) last.end = end;
+      else segments.push({ start, end, name });
     });
-  }, [presets, loadInstrument]);
+    return segments;
+  }, [nodes, presets]);
 
-  const stopPlay = useCallback(() => {
+  // 选区清空时工具栏随之卸载，同时关闭琶音面板，避免下次选中时自动弹出
+  if (isArpOpen && selectedNodeIds.size === 0) setIsArpOpen(false);
+
+  // 琶音预览：面板打开时按当前设置生成，应用时使用同一结果
+  const arpPreview = useMemo(() => (isArpOpen
+    ? generateArpeggio(nodes.filter(n => selectedNodeIds.has(n.id)), arp, DURATION_STEPS[arp.rate])
+    : []), [isArpOpen, nodes, selectedNodeIds, arp]);
+
+  // 用各预设的音源试听预览结果，不经过 Transport
+  const auditionArpeggio = async () => {
+    if (arpPreview.length === 0) return;
+    await Tone.start();
+    const tempoPoints = getTempoPoints(bpm, tempoChanges);
+    const startSeconds = stepToSeconds(tempoPoints, arpPreview[0].step);
+    const now = Tone.now() + 0.05;
+    arpPreview.forEach(note => {
+      const preset = presets.find(p => p.id === note.presetId) || presets[0];
+      const noteStart = stepToSeconds(tempoPoints, note.step);
+      const duration = stepToSeconds(tempoPoints, note.step + note.length) - noteStart;
+      channelStripsRef.current[preset.id]?.source?.triggerAttackRelease(
+        midiToNote(note.midi),
+        duration,
+        now + noteStart - startSeconds,
+        (preset.volume ?? 1) * masterVolume * (note.velocity / DEFAULT_VELOCITY),
+      );
+    });
+  };
+
+  // 用琶音替换选中的和弦，整个替换是一条历史
+  const applyArpeggio = () => {
+    if (arpPreview.length === 0) return;
+    const currentSelected = selectedNodeIdsRef.current;
+    const remaining = nodesRef.current.filter(n => !currentSelected.has(n.id));
+    const occupied = new Set(remaining.map(n => `${n.midi}:${n.step}`));
+    const generated = arpPreview
+      .filter(n => !occupied.has(`${n.midi}:${n.step}`))
+      .map(n => ({ ...n, id: generateId(), time: `0:0:${n.step}` }));
+
+    pushToHistory();
+    setNodes([...remaining, ...generated]);
+    setSelectedNodeIds(new Set(generated.map(n => n.id)));
+    setIsArpOpen(false);
+  };
+
+  const activeSample = normalizeSample(activePreset.sample);
+  const updateActiveSample = (changes) => {
+    updatePreset(activePresetId, { sample: { ...activeSample, ...changes } });
+  };
+
+  const updateActiveSampleZone = (zoneId, changes) => {
+    updateActiveSample({ zones: activeSample.zones.map(zone => (zone.id === zoneId ? { ...zone, ...changes } : zone)) });
+  };
+
+  // 切到多采样时按根音补上音域
+  const setActiveSampleMode = (mode) => {
+    updateActiveSample(mode === 'multi' ? { mode, zones: distributeZoneRanges(activeSample.zones) } : { mode });
+  };
+
+  // 上传的音频先解码验证，再存进 IndexedDB；单采样模式替换原有采样，多采样模式追加并重新划分音域
+  const handleSampleFileChange = async (e) => {
+    const files = [...(e.target.files || [])];
+    e.target.value = ''; // 允许重复选择同一个文件
+    if (files.length === 0) return;
+    const presetId = activePresetId;
+
+    const zones = [];
+    for (const file of files) {
+      try {
+        const data = await file.arrayBuffer();
+        const buffer = await Tone.context.rawContext.decodeAudioData(data.slice(0));
+        const sampleId = generateId();
+        await saveSample({ id: sampleId, spaceId, name: file.name, type: file.type, data });
+        sampleBuffersRef.current[sampleId] = buffer;
+        zones.push({ id: generateId(), sampleId, name: file.name, root: guessRootFromFileName(file.name) ?? 60 });
+      } catch (err) {
+        console.error('Failed to import sample', file.name, err);
+        messageApi.error(`无法读取音频文件 ${file.name}`);
+      }
+    }
+    if (zones.length === 0) return;
+
+    setSampleStatus(prev => ({ ...prev, ...Object.fromEntries(zones.map(zone => [zone.sampleId, 'loaded'])) }));
+    setPresets(prev => prev.map(p => {
+      if (p.id !== presetId) return p;
+      const sample = normalizeSample(p.sample);
+      return {
+        ...p,
+        sample: {
+          ...sample,
+          zones: sample.mode === 'single' ? zones.slice(0, 1) : distributeZoneRanges([...sample.zones, ...zones]),
+        },
+      };
+    }));
+  };
+
+  const updateActiveEffects = (updateFn) => {
+    setPresets(prev => prev.map(p => (p.id === activePresetId ? { ...p, effects: updateFn(p.effects || []) } : p)));
+  };
+
+  const addPreset = () => {
+    const newId = generateId();
+    // Cycle colors
+    const nextColorIndex = presets.length % RAINBOW_COLORS.length;
+    const newPreset = {
+      ...DEFAULT_PRESET,
+      id: newId,
+      name: `预设 ${presets.length + 1}`,
+      color: RAINBOW_COLORS[nextColorIndex],
+    };
+    setPresets(prev => [...prev, newPreset]);
+    setActivePresetId(newId);
+  };
+
+  // 更新 maxStepRef
+  useEffect(() => {
+    const max = Math.max(...nodes.map(n => n.step + n.length), 0);
+    maxStepRef.current = max;
+  }, [nodes]);
+
+  // 同一音色只加载一次；失败后可以通过 retryInstrument 重新加载
+  const loadInstrument = useCallback((instrumentName) => {
+    if (instrumentsRef.current[instrumentName]) return Promise.resolve(instrumentsRef.current[instrumentName]);
+    const loads = instrumentLoadsRef.current;
+    if (!loads[instrumentName]) {
+      loads[instrumentName] = loadSoundfont(Tone.context.rawContext, instrumentName)
+        .then(instrument => {
+          instrumentsRef.current[instrumentName] = instrument;
+          setInstrumentStatus(prev => ({ ...prev, [instrumentName]: 'loaded' }));
+          return instrument;
+        })
+        .catch(e => {
+          console.error('Failed to load instrument', instrumentName, e);
+          setInstrumentStatus(prev => ({ ...prev, [instrumentName]: 'failed' }));
+          return null;
+        })
+        .finally(() => {
+          delete loads[instrumentName];
+        });
+    }
+    return loads[instrumentName];
+  }, []);
+
+  // 从 IndexedDB 读出上传的采样并解码，同一采样只解码一次
+  const loadSampleBuffer = useCallback((sampleId) => {
+    if (sampleBuffersRef.current[sampleId]) return Promise.resolve(sampleBuffersRef.current[sampleId]);
+    const loads = sampleLoadsRef.current;
+    if (!loads[sampleId]) {
+      loads[sampleId] = getSample(sampleId)
+        .then(sample => {
+          if (!sample) throw new Error('Sample not found');
+          // decodeAudioData 会转移 ArrayBuffer，传副本
+          return Tone.context.rawContext.decodeAudioData(sample.data.slice(0));
+        })
+        .then(buffer => {
+          sampleBuffersRef.current[sampleId] = buffer;
+          setSampleStatus(prev => ({ ...prev, [sampleId]: 'loaded' }));
+          return buffer;
+        })
+        .catch(e => {
+          console.error('Failed to load sample', sampleId, e);
+          setSampleStatus(prev => ({ ...prev, [sampleId]: 'failed' }));
+          return null;
+        })
+        .finally(() => {
+          delete loads[sampleId];
+        });
+    }
+    return loads[sampleId];
+  }, []);
+
+  const retryPresetSource = (preset) => {
+    if (preset.sourceType === 'sample') {
+      const sampleIds = new Set(getActiveZones(preset.sample).map(zone => zone.sampleId));
+      setSampleStatus(prev => Object.fromEntries(Object.entries(prev).filter(([id]) => !sampleIds.has(id))));
+      return;
+    }
+    setInstrumentStatus(prev => {
+      const next = { ...prev };
+      delete next[preset.instrument];
+      return next;
+    });
+  };
+
+  // 预设的音色状态：合成器、鼓组和仅输出到外部 MIDI 的预设不需要加载
+  const getPresetSourceStatus = (preset) => {
+    if (['synth', 'drums'].includes(preset.sourceType) || (preset.midiOutput && preset.localSound === false)) return 'loaded';
+    if (preset.sourceType === 'sample') {
+      const statuses = getActiveZones(preset.sample).map(zone => sampleStatus[zone.sampleId]);
+      if (statuses.includes('failed')) return 'failed';
+      return statuses.every(status => status === 'loaded') ? 'loaded' : 'loading';
+    }
+    return instrumentStatus[preset.instrument] ?? 'loading';
+  };
+
+  // 主输出总线，所有通道都汇入这里；设置由下一个 effect 写入
+  useEffect(() => {
+    const bus = createMasterBus(Tone.getContext(), DEFAULT_MASTER_BUS);
+    masterBusRef.current = bus;
+    return () => {
+      disposeMasterBus(bus);
+      masterBusRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!masterBusRef.current) return;
+    applyMasterBus(masterBusRef.current, masterBus);
+  }, [masterBus]);
+
+  // 为每个预设维护通道条；合成器直接挂上，soundfont 音色和上传的采样加载完成后再挂采样器
+  useEffect(() => {
+    const strips = channelStripsRef.current;
+    presets.forEach(preset => {
+      if (!strips[preset.id]) strips[preset.id] = createChannelStrip(Tone.getContext(), preset, masterBusRef.current.input);
+      const strip = strips[preset.id];
+      applyChannelSettings(strip.channel, preset);
+      applyStripEffects(strip, preset);
+
+      const sourceKey = getSourceKey(preset);
+      if (strip.sourceKey !== sourceKey) {
+        strip.source?.dispose();
+        strip.source = null;
+        strip.sourceKey = sourceKey;
+      }
+      if (strip.source) return;
+      const source = createPresetSource(Tone.getContext(), preset, {
+        instruments: instrumentsRef.current,
+        sampleBuffers: sampleBuffersRef.current,
+      });
+      if (source) {
+        strip.source = source.connect(strip.input);
+        return;
+      }
+      // 音色或采样加载完成 (或重试) 后状态变化，会再次进入这里
+      if (preset.sourceType === 'sample') {
+        getActiveZones(preset.sample).forEach(zone => {
+          if (!sampleStatus[zone.sampleId]) loadSampleBuffer(zone.sampleId);
+        });
+      } else if (preset.instrument && !instrumentStatus[preset.instrument]) {
+        loadInstrument(preset.instrument);
+      }
+    });
+
+    Object.keys(strips).forEach(id => {
+      if (presets.some(p => p.id === id)) return;
+      disposeChannelStrip(strips[id]);
+      delete strips[id];
+    });
+  }, [presets, instrumentStatus, loadInstrument, sampleStatus, loadSampleBuffer]);
+
+  useEffect(() => {
+    const strips = channelStripsRef.current;
+    return () => {
+      Object.values(strips).forEach(disposeChannelStrip);
+      channelStripsRef.current = {};
+    };
+  }, []);
+
+  // 取消尚未结束的预备拍
+  const cancelCountIn = useCallback(() => {
+    countInSynthRef.current?.dispose();
+    countInSynthRef.current = null;
+    countInEndRef.current = 0;
+  }, []);
+
+  const stopPlay = useCallback(() => {
     Tone.getTransport().stop();
+    cancelCountIn();
+    sendAllNotesOff();
     setIsPlaying(false);
     setCurrentStep(-1);
+  }, [cancelCountIn]);
+
+  // 节拍器：按拍号在每拍打一个 click，和 Tone.Part 一样挂在 Transport 上
+  useEffect(() => {
+    metronomeRef.current = metronome;
+    if (metronomeSynthRef.current) {
+      metronomeSynthRef.current.volume.value = Tone.gainToDb(metronome.volume);
+    }
+  }, [metronome]);
+
+  useEffect(() => {
+    const transport = Tone.getTransport();
+    metronomeSynthRef.current = createClickSynth(metronomeRef.current.volume);
+    const eventId = transport.scheduleRepeat((time) => {
+      if (!metronomeRef.current.enabled) return;
+      const step = Math.round(transport.getTicksAtTime(time) / (transport.PPQ / 4));
+      const { offsetInBar, meter } = getBarBeat(timeSignaturesRef.current, step);
+      if (offsetInBar % meter.stepsPerBeat !== 0) return;
+      playClick(metronomeSynthRef.current, time, offsetInBar === 0);
+    }, '16n', 0);
+
+    return () => {
+      transport.clear(eventId);
+      metronomeSynthRef.current.dispose();
+      metronomeSynthRef.current = null;
+    };
   }, []);
 
   // 初始化合成器
@@ -470,20 +1699,13 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
     // synthRef removed
 
     loopRef.current = new Tone.Loop((time) => {
+      // 按 tick 计算当前 step，速度变化时也准确
+      const transport = Tone.getTransport();
+      const beat = Math.floor(transport.getTicksAtTime(time) / (transport.PPQ / 4));
       Tone.Draw.schedule(() => {
-        const seconds = Tone.Transport.seconds;
-        const bpm = Tone.Transport.bpm.value;
-        const bps = bpm / 60;
-        const beat = Math.floor(seconds * bps * 4);
-
-        if (maxStepRef.current > 0 && beat >= maxStepRef.current) {
-          if (isLoopingRef.current) {
-             // Restart transport
-             Tone.Transport.position = 0;
-             setCurrentStep(0);
-          } else {
-             stopPlay();
-          }
+        // 循环由 Transport.loop 负责，这里只处理非循环时播放到结尾
+        if (!isLoopingRef.current && maxStepRef.current > 0 && beat >= maxStepRef.current) {
+          stopPlay();
         } else {
           setCurrentStep(beat);
         }
@@ -503,53 +1725,415 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
       partRef.current.dispose();
     }
 
-    const partData = nodes.map(node => {
-      // Find preset for config
-      const preset = presets.find(p => p.id === node.presetId) || presets[0];
-      return {
-        time: node.time,
-        note: midiToNote(node.midi),
-        duration: node.duration, // Use node's duration (which was copied from preset at creation)
-        velocity: (preset.volume ?? 1) * masterVolume, // 使用预设音量 * 总音量
-        instrument: preset.instrument
-      };
-    });
+    const partData = buildPartData(nodes, presets, masterVolume, groove, timeSignatures);
 
     partRef.current = new Tone.Part((time, value) => {
-      const inst = instrumentsRef.current[value.instrument];
-      if (inst) {
+      const preset = presets.find(p => p.id === value.presetId);
+      const strip = channelStripsRef.current[value.presetId];
+      // 静音或其他预设独奏时，外部 MIDI 设备也不发声
+      if (strip?.channel.muted) return;
+      const points = tempoPointsRef.current;
+      const durationSec = stepToSeconds(points, value.end) - stepToSeconds(points, value.start);
+      const noteTime = Math.max(time + value.offset, Tone.now()); // 人性化可能把音符提前，不早于当前时刻
+
+      // 外部 MIDI 设备
+      const output = preset?.midiOutput && midiAccess?.outputs.get(preset.midiOutput);
+      if (output) {
         try {
-          const durationSec = Tone.Time(value.duration).toSeconds();
-          inst.play(value.note, time, { duration: durationSec, gain: value.velocity });
+          const timestamp = audioTimeToMidiTimestamp(Tone.context.rawContext, noteTime);
+          sendMidiNote(output, preset.midiChannel ?? 0, value.midi, value.midiVelocity, timestamp, durationSec * 1000);
         } catch (e) {
           console.error(e);
         }
       }
+      if (output && preset.localSound === false) return;
+
+      if (strip?.source) {
+        try {
+          strip.source.triggerAttackRelease(value.note, durationSec, noteTime, value.velocity);
+        } catch (e) {
+          console.error(e);
+        }
+      } else if (preset && !missingSourceWarnedRef.current.has(preset.id)) {
+        // 音色还没加载好或没有上传采样：每次播放每个预设提示一次，而不是静默跳过
+        missingSourceWarnedRef.current.add(preset.id);
+        Tone.Draw.schedule(() => {
+          messageApi.warning(`预设「${preset.name}」没有可用的音色，播放时没有声音`);
+        }, time);
+      }
     }, partData).start(0);
 
     partRef.current.loop = false;
-  }, [nodes, presets, masterVolume]); // Depend on presets and masterVolume to update sound immediately
-
-  const togglePlay = async () => {
-    if (Tone.getTransport().state !== 'started') {
-      await Tone.start();
-      Tone.getTransport().position = 0;
-      Tone.getTransport().start();
-      setIsPlaying(true);
-    } else {
-      Tone.getTransport().pause();
+  }, [nodes, presets, masterVolume, groove, timeSignatures, midiAccess, messageApi]); // Depend on presets and masterVolume to update sound immediately
+
+  // 使用 Transport 自带的循环 (sample 级精确)，循环区间未设置时循环整首
+  useEffect(() => {
+    const transport = Tone.getTransport();
+    const songEnd = Math.max(...nodes.map(n => n.step + n.length), 0);
+    const loopStart = loopRegion ? loopRegion.start : 0;
+    const loopEnd = loopRegion ? loopRegion.end : Math.ceil(songEnd);
+
+    transport.loop = isLooping && loopEnd > loopStart;
+    if (transport.loop) {
+      transport.loopStart = `0:0:${loopStart}`;
+      transport.loopEnd = `0:0:${loopEnd}`;
+    }
+  }, [isLooping, loopRegion, nodes]);
+
+  // 暂停后继续播放会从暂停处接着播；停止后从播放光标开始 (开启循环且光标在循环区间外时从区间起点开始)
+  const togglePlay = useCallback(async () => {
+    const transport = Tone.getTransport();
+    if (transport.state === 'started') {
+      transport.pause();
       setIsPlaying(false);
+      return;
+    }
+    // 预备拍进行中再次点击：取消
+    if (countInEndRef.current > Tone.now()) {
+      stopPlay();
+      return;
+    }
+
+    await Tone.start();
+    if (transport.state === 'stopped') {
+      const outsideLoop = isLooping && loopRegion && (playheadStep < loopRegion.start || playheadStep >= loopRegion.end);
+      transport.position = `0:0:${outsideLoop ? loopRegion.start : playheadStep}`;
+    }
+
+    missingSourceWarnedRef.current.clear();
+    const startStep = transport.ticks / (transport.PPQ / 4);
+
+    // 预备拍：用单独的合成器按绝对时间排好 click，Transport 在预备拍结束时开始
+    let startTime = Tone.now();
+    if (metronome.countInBars > 0) {
+      // 按起点所在的拍号和速度打拍，BPM 以四分音符计
+      const meter = getMeterAt(timeSignatures, startStep);
+      const beatsPerBar = meter.numerator;
+      const beatSeconds = (60 / getTempoAt(tempoPointsRef.current, startStep)) * (4 / meter.denominator);
+      const countInBeats = metronome.countInBars * beatsPerBar;
+      cancelCountIn();
+      const synth = createClickSynth(metronome.volume);
+      countInSynthRef.current = synth;
+      for (let i = 0; i < countInBeats; i++) {
+        playClick(synth, startTime + i * beatSeconds, i % beatsPerBar === 0);
+      }
+      startTime += countInBeats * beatSeconds;
+      countInEndRef.current = startTime;
+      setTimeout(() => {
+        if (countInSynthRef.current === synth) cancelCountIn();
+      }, (startTime - Tone.now() + 0.5) * 1000);
+    }
+
+    applyTempoAt(transport.bpm, tempoPointsRef.current, startStep, startTime);
+    transport.start(startTime);
+    setIsPlaying(true);
+  }, [isLooping, loopRegion, playheadStep, metronome, timeSignatures, stopPlay, cancelCountIn]);
+
+  // 移动播放光标；播放或暂停中同时跳转 Transport
+  const seekTo = useCallback((step) => {
+    const next = Math.max(0, step);
+    setPlayheadStep(next);
+    const transport = Tone.getTransport();
+    if (transport.state !== 'stopped') {
+      transport.position = `0:0:${next}`;
+      if (transport.state === 'started') applyTempoAt(transport.bpm, tempoPointsRef.current, next, Tone.now());
+      setCurrentStep(next);
+    }
+  }, []);
+
+  // 在底部 X 轴上拖动绘制循环区间；按住区间两端的标记可以调整，右键清除；单击移动播放光标
+  const handleRulerMouseDown = (e) => {
+    if (e.button !== 0) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const boundaryAt = (clientX) => Math.max(0, Math.round((clientX - rect.left) / cellWidth));
+    const startX = e.clientX - rect.left;
+
+    let mode = 'create';
+    if (loopRegion && Math.abs(startX - loopRegion.end * cellWidth) <= 6) mode = 'end';
+    else if (loopRegion && Math.abs(startX - loopRegion.start * cellWidth) <= 6) mode = 'start';
+    const anchor = boundaryAt(e.clientX);
+    let hasMoved = false;
+
+    const handleWindowMouseMove = (moveEvent) => {
+      const pos = boundaryAt(moveEvent.clientX);
+      if (Math.abs(moveEvent.clientX - rect.left - startX) > 3) hasMoved = true;
+      if (!hasMoved) return;
+      if (mode === 'start') {
+        setLoopRegion(prev => ({ ...prev, start: Math.min(pos, prev.end - 1) }));
+      } else if (mode === 'end') {
+        setLoopRegion(prev => ({ ...prev, end: Math.max(pos, prev.start + 1) }));
+      } else if (pos !== anchor) {
+        setLoopRegion({ start: Math.min(anchor, pos), end: Math.max(anchor, pos) });
+      }
+    };
+
+    const handleWindowMouseUp = () => {
+      window.removeEventListener('mousemove', handleWindowMouseMove);
+      window.removeEventListener('mouseup', handleWindowMouseUp);
+      if (!hasMoved) seekTo(Math.floor(startX / cellWidth));
+    };
+
+    window.addEventListener('mousemove', handleWindowMouseMove);
+    window.addEventListener('mouseup', handleWindowMouseUp);
+  };
+
+  // 播放相关快捷键：空格 播放/暂停，Home 回到开头，逗号/句号 按小节后退/前进
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (isTypingTarget(e.target) || e.metaKey || e.ctrlKey || e.altKey) return;
+      const transport = Tone.getTransport();
+      const position = transport.state === 'stopped' ? playheadStep : Math.floor(transport.ticks / (transport.PPQ / 4));
+
+      if (e.code === 'Space') {
+        e.preventDefault();
+        togglePlay();
+      } else if (e.key === 'Home') {
+        e.preventDefault();
+        seekTo(0);
+      } else if (e.key === ',') {
+        e.preventDefault();
+        // 不在小节线上时先回到本小节开头
+        seekTo(getPrevBarStep(timeSignatures, position));
+      } else if (e.key === '.') {
+        e.preventDefault();
+        seekTo(getNextBarStep(timeSignatures, position));
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [togglePlay, seekTo, playheadStep, timeSignatures]);
+
+  const exportMidi = () => {
+    const data = buildMidiFile({ nodes, presets, bpm, tempoChanges, timeSignatures, groove });
+    downloadBlob(new Blob([data], { type: 'audio/midi' }), `${spaceName || 'untitled'}.mid`);
+  };
+
+  const exportAudio = async () => {
+    const songSteps = maxStepRef.current;
+    if (songSteps === 0) {
+      messageApi.warning('当前空间没有音符');
+      return;
+    }
+
+    const controller = new AbortController();
+    audioExportAbortRef.current = controller;
+    setAudioExportProgress(0);
+
+    try {
+      const partData = buildPartData(nodes, presets, masterVolume, groove, timeSignatures);
+      const usedPresets = presets.filter(p => partData.some(e => e.presetId === p.id));
+      const sampleIds = usedPresets.filter(p => p.sourceType === 'sample')
+        .flatMap(p => getActiveZones(p.sample).map(zone => zone.sampleId));
+      await Promise.all([
+        ...[...new Set(partData.map(e => e.instrument).filter(Boolean))].map(loadInstrument),
+        ...[...new Set(sampleIds)].map(loadSampleBuffer),
+      ]);
+      const loaded = { instruments: instrumentsRef.current, sampleBuffers: sampleBuffersRef.current };
+      const missing = usedPresets.filter(p => !isPresetSourceReady(p, loaded));
+      if (missing.length > 0) {
+        messageApi.warning(`以下预设没有可用的音色，导出中没有声音：${missing.map(p => p.name).join('、')}`);
+      }
+
+      const { loops, bitDepth } = audioExportOptions;
+      const tempoPoints = getTempoPoints(bpm, tempoChanges);
+      const songSeconds = stepToSeconds(tempoPoints, songSteps);
+
+      const buffer = await renderOffline({
+        duration: songSeconds * loops + RENDER_TAIL_SECONDS,
+        signal: controller.signal,
+        onProgress: setAudioExportProgress,
+        setup: async (context) => {
+          // 离线上下文里按预设重建通道条和主输出总线，效果、声像/静音/独奏与实时播放一致
+          const bus = createMasterBus(context, masterBus);
+          const sources = {};
+          const effectNodes = [];
+          presets.forEach(preset => {
+            const source = createPresetSource(context, preset, loaded);
+            if (!source) return;
+            const strip = createChannelStrip(context, preset, bus.input);
+            effectNodes.push(...strip.effects);
+            sources[preset.id] = source.connect(strip.input);
+          });
+          await whenEffectsReady(effectNodes);
+
+          for (let loop = 0; loop < loops; loop++) {
+            partData.forEach(value => {
+              const start = Math.max(0, stepToSeconds(tempoPoints, value.start) + value.offset);
+              const durationSec = stepToSeconds(tempoPoints, value.end) - stepToSeconds(tempoPoints, value.start);
+              const time = loop * songSeconds + start;
+              sources[value.presetId]?.triggerAttackRelease(value.note, durationSec, time, value.velocity);
+            });
+          }
+        },
+      });
+
+      const wav = encodeWav(buffer, bitDepth);
+      downloadBlob(new Blob([wav], { type: 'audio/wav' }), `${spaceName || 'untitled'}.wav`);
+      setIsAudioExportOpen(false);
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error('Failed to render audio', err);
+        messageApi.error(`导出音频失败: ${err.message}`);
+      }
+    } finally {
+      audioExportAbortRef.current = null;
+      setAudioExportProgress(null);
+    }
+  };
+
+  const handleMidiFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // 允许重复选择同一个文件
+    if (!file) return;
+
+    try {
+      const song = decodeMidiFile(await file.arrayBuffer());
+      const imported = buildSpaceFromMidi(song, presets.length);
+      if (imported.nodes.length === 0) {
+        messageApi.warning('MIDI 文件中没有音符');
+        return;
+      }
+      setPendingMidiImport({ ...imported, fileName: file.name });
+    } catch (err) {
+      console.error('Failed to parse MIDI file', err);
+      messageApi.error(`无法解析 MIDI 文件: ${err.message}`);
+    }
+  };
+
+  // mode: 'replace' 替换当前空间的音符 | 'merge' 合并到当前空间
+  // 预设总是追加，这样撤销导入后旧节点引用的预设依然存在
+  // 导入会改动速度、拍号和预设，这些设置和音符一起记入同一条历史
+  const applyMidiImport = (mode) => {
+    const {
+      presets: importedPresets, nodes: importedNodes, bpm: importedBpm, tempoChanges: importedTempoChanges, timeSignatures: importedTimeSignatures,
+    } = pendingMidiImport;
+    pushToHistory({ withSong: true });
+
+    const baseNodes = mode === 'merge' ? nodesRef.current : [];
+    const occupied = new Set(baseNodes.map(n => `${n.midi}:${n.step}`));
+    const addedNodes = importedNodes.filter(n => {
+      const key = `${n.midi}:${n.step}`;
+      if (occupied.has(key)) return false;
+      occupied.add(key);
+      return true;
+    });
+    const newNodes = [...baseNodes, ...addedNodes];
+
+    setPresets(prev => [...prev, ...importedPresets]);
+    setActivePresetId(importedPresets[0].id);
+    setNodes(newNodes);
+    setSelectedNodeIds(new Set());
+    if (importedBpm) {
+      setBpm(importedBpm);
+      setTempoChanges(importedTempoChanges);
+    }
+    if (importedTimeSignatures) setTimeSignatures(importedTimeSignatures);
+
+    expandGridTo(Math.max(...newNodes.map(n => n.step + n.length), 0));
+
+    setPendingMidiImport(null);
+  };
+
+  // 工程导出：空间的全部设置、音符和预设引用的上传采样
+  const exportProject = async () => {
+    const sampleIds = [...new Set(presets.flatMap(p => normalizeSample(p.sample).zones.map(zone => zone.sampleId)))];
+    try {
+      const samples = (await Promise.all(sampleIds.map(getSample))).filter(Boolean);
+      const text = await encodeProject({
+        name: spaceName,
+        masterVolume,
+        bpm,
+        tempoChanges,
+        timeSignatures,
+        presets,
+        activePresetId,
+        nodes,
+        loopRegion,
+        metronome,
+        masterBus,
+        keyScale,
+        groove,
+      }, samples);
+      downloadBlob(new Blob([text], { type: 'application/json' }), `${spaceName || 'untitled'}.json`);
+    } catch (err) {
+      console.error('Failed to export project', err);
+      messageApi.error(`导出工程失败: ${err.message}`);
+    }
+  };
+
+  const handleProjectFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // 允许重复选择同一个文件
+    if (!file) return;
+
+    try {
+      setPendingProjectImport({ project: await decodeProject(await file.text()), fileName: file.name });
+    } catch (err) {
+      console.error('Failed to parse project file', err);
+      messageApi.error(`无法解析工程文件: ${err.message}`);
+    }
+  };
+
+  // 打开工程会替换当前空间的全部内容并清空撤销记录；采样重新分配 id 存入当前空间
+  const applyProjectImport = async () => {
+    const { project } = pendingProjectImport;
+    try {
+      const sampleIdMap = {};
+      for (const sample of project.samples) {
+        const id = generateId();
+        await saveSample({ id, spaceId, name: sample.name, type: sample.type, data: sample.data });
+        sampleIdMap[sample.id] = id;
+      }
+      const importedPresets = project.presets.map(p => {
+        if (!p.sample) return p;
+        const sample = normalizeSample(p.sample);
+        return {
+          ...p,
+          sample: { ...sample, zones: sample.zones.map(zone => ({ ...zone, sampleId: sampleIdMap[zone.sampleId] ?? zone.sampleId })) },
+        };
+      });
+      const importedNodes = project.nodes.map(migrateNode);
+
+      setPresets(importedPresets);
+      setActivePresetId(importedPresets.some(p => p.id === project.activePresetId) ? project.activePresetId : importedPresets[0].id);
+      setNodes(importedNodes);
+      setSelectedNodeIds(new Set());
+      setHistory([]);
+      setRedoStack([]);
+      if (project.masterVolume !== undefined) setMasterVolume(project.masterVolume);
+      if (project.bpm) setBpm(project.bpm);
+      setTempoChanges(project.tempoChanges || []);
+      setTimeSignatures(normalizeTimeSignatures(project.timeSignatures));
+      setLoopRegion(project.loopRegion ?? null);
+      setMetronome({ ...DEFAULT_METRONOME, ...project.metronome });
+      setMasterBus({ ...DEFAULT_MASTER_BUS, ...project.masterBus });
+      setKeyScale({ ...DEFAULT_KEY_SCALE, ...project.keyScale });
+      setGroove(normalizeGroove(project.groove));
+      expandGridTo(Math.max(...importedNodes.map(n => n.step + n.length), 0));
+      setPendingProjectImport(null);
+    } catch (err) {
+      console.error('Failed to import project', err);
+      messageApi.error(`打开工程失败: ${err.message}`);
     }
   };
 
   const handleScroll = (e) => {
     const { scrollLeft, clientWidth, scrollWidth } = e.target;
     if (scrollWidth - (scrollLeft + clientWidth) < 100) {
-      setGridSteps(prev => prev + 32);
+      setGridSteps(prev => getGridStepsFor(timeSignatures, prev));
     }
     if (xAxisScrollRef.current) {
       xAxisScrollRef.current.scrollLeft = scrollLeft;
     }
+    if (velocityLaneScrollRef.current) {
+      velocityLaneScrollRef.current.scrollLeft = scrollLeft;
+    }
+    if (tempoLaneScrollRef.current) {
+      tempoLaneScrollRef.current.scrollLeft = scrollLeft;
+    }
+    if (chordStripScrollRef.current) {
+      chordStripScrollRef.current.scrollLeft = scrollLeft;
+    }
   };
 
   const toggleNode = useCallback((midi, step) => {
@@ -575,21 +2159,153 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
       time,
       step,
       presetId: activePresetId, // Link to preset
-      duration: currentPreset.duration, // Copy duration as default
+      length: DURATION_STEPS[currentPreset.duration] || 1, // Copy duration as default
+      velocity: DEFAULT_VELOCITY,
     };
 
     // 自动扩展网格
-    setGridSteps(prev => {
-      const nodeEnd = step + (DURATION_STEPS[newNode.duration] || 1);
-      if (nodeEnd > prev) {
-        return Math.ceil(nodeEnd / 32) * 32 + 32;
-      }
-      return prev;
-    });
+    expandGridTo(step + newNode.length);
 
     setNodes([...currentNodes, newNode]);
     return newNode.id;
-  }, [activePresetId, presets, pushToHistory]);
+  }, [activePresetId, presets, pushToHistory, expandGridTo]);
+
+  const refreshMidiPorts = useCallback((access) => {
+    const inputs = listMidiPorts(access, 'inputs');
+    setMidiInputs(inputs);
+    setMidiInputId(prev => (inputs.some(i => i.value === prev) ? prev : inputs[0]?.value ?? null));
+    setMidiOutputs(listMidiPorts(access, 'outputs'));
+  }, []);
+
+  // MIDIAccess 是全局单例，请求进行中时不重复请求
+  const midiAccessPendingRef = useRef(null);
+  const connectMidi = useCallback(() => {
+    if (midiAccess || midiAccessPendingRef.current || !isWebMidiSupported()) return;
+    midiAccessPendingRef.current = getMidiAccess().then((access) => {
+      refreshMidiPorts(access);
+      setMidiAccess(access);
+    }).catch((err) => {
+      console.error('Failed to access MIDI devices', err);
+      messageApi.error('无法访问 MIDI 设备');
+    }).finally(() => {
+      midiAccessPendingRef.current = null;
+    });
+  }, [midiAccess, messageApi, refreshMidiPorts]);
+
+  // 设备插拔时刷新端口列表；监听挂在全局的 MIDIAccess 上，切换空间卸载时必须移除
+  useEffect(() => {
+    if (!midiAccess) return;
+    const handleStateChange = () => refreshMidiPorts(midiAccess);
+    midiAccess.addEventListener('statechange', handleStateChange);
+    return () => midiAccess.removeEventListener('statechange', handleStateChange);
+  }, [midiAccess, refreshMidiPorts]);
+
+  // 有预设输出到外部 MIDI 设备时，自动连接
+  useEffect(() => {
+    if (presets.some(p => p.midiOutput)) connectMidi();
+  }, [presets, connectMidi]);
+
+  // 离开页面时发送 All Notes Off，避免外部合成器挂音
+  useEffect(() => {
+    window.addEventListener('pagehide', sendAllNotesOff);
+    return () => window.removeEventListener('pagehide', sendAllNotesOff);
+  }, []);
+
+  const moveStepCursor = useCallback((step) => {
+    const next = Math.max(0, step ?? 0);
+    stepCursorRef.current = next;
+    setStepCursor(next);
+  }, []);
+
+  // 一次录音 (take) 只记录一条历史
+  const beginTake = useCallback(() => {
+    if (isTakeActiveRef.current) return;
+    pushToHistory();
+    isTakeActiveRef.current = true;
+  }, [pushToHistory]);
+
+  // 切换录制模式或开始/停止播放时，结束当前 take
+  useEffect(() => {
+    isTakeActiveRef.current = false;
+    heldMidiNotesRef.current.clear();
+  }, [recordMode, isPlaying]);
+
+  // 录制写入节点：不单独记录历史，由 beginTake 统一记录
+  const writeRecordedNode = useCallback((midi, step, length, velocity) => {
+    const currentNodes = nodesRef.current;
+    if (midi < 21 || midi > 108) return null;
+    if (currentNodes.some(n => n.midi === midi && n.step === step)) return null;
+
+    const newNode = {
+      id: generateId(),
+      midi,
+      time: `0:0:${step}`,
+      step,
+      presetId: activePresetId,
+      length,
+      velocity,
+    };
+    const newNodes = [...currentNodes, newNode];
+    // 同一批 MIDI 消息可能在下一次渲染前连续到达
+    nodesRef.current = newNodes;
+    setNodes(newNodes);
+
+    expandGridTo(step + length);
+    return newNode;
+  }, [activePresetId, expandGridTo]);
+
+  const handleMidiMessage = useCallback((e) => {
+    const midiEvent = parseMidiMessage(e.data);
+    if (!midiEvent) return;
+    const { note } = midiEvent;
+    const held = heldMidiNotesRef.current;
+
+    if (midiEvent.type === 'noteOn') {
+      // 监听：用当前预设的通道发声
+      const source = channelStripsRef.current[activePreset.id]?.source;
+      const gain = (activePreset.volume ?? 1) * masterVolume * (midiEvent.velocity / DEFAULT_VELOCITY);
+      source?.triggerAttack(midiToNote(note), Tone.immediate(), gain);
+
+      let recorded = null;
+      let startTicks = null;
+      if (recordMode === 'step') {
+        beginTake();
+        recorded = writeRecordedNode(note, stepCursorRef.current, DURATION_STEPS[activePreset.duration] || 1, midiEvent.velocity);
+      } else if (recordMode === 'realtime' && Tone.getTransport().state === 'started') {
+        const transport = Tone.getTransport();
+        startTicks = transport.getTicksAtTime(Tone.immediate());
+        beginTake();
+        recorded = writeRecordedNode(note, Math.round(startTicks / (transport.PPQ / 4)), DURATION_STEPS[activePreset.duration] || 1, midiEvent.velocity);
+      }
+      held.set(note, { nodeId: recorded?.id, startTicks, source });
+      return;
+    }
+
+    const heldNote = held.get(note);
+    held.delete(note);
+    heldNote?.source?.triggerRelease(midiToNote(note), Tone.immediate());
+
+    if (recordMode === 'step') {
+      // 和弦：所有键松开后光标才前进
+      if (held.size === 0 && heldNote?.nodeId) {
+        moveStepCursor(stepCursorRef.current + (DURATION_STEPS[activePreset.duration] || 1));
+      }
+    } else if (recordMode === 'realtime' && heldNote?.nodeId) {
+      const transport = Tone.getTransport();
+      const lengthTicks = transport.getTicksAtTime(Tone.immediate()) - heldNote.startTicks;
+      const length = DURATION_STEPS[findClosestDuration(lengthTicks / (transport.PPQ / 4))];
+      const newNodes = nodesRef.current.map(n => (n.id === heldNote.nodeId ? { ...n, length } : n));
+      nodesRef.current = newNodes;
+      setNodes(newNodes);
+    }
+  }, [activePreset, masterVolume, recordMode, beginTake, writeRecordedNode, moveStepCursor]);
+
+  useEffect(() => {
+    const input = midiAccess?.inputs.get(midiInputId);
+    if (!input) return;
+    input.addEventListener('midimessage', handleMidiMessage);
+    return () => input.removeEventListener('midimessage', handleMidiMessage);
+  }, [midiAccess, midiInputId, handleMidiMessage]);
 
   const handleRightClick = useCallback((e, midi, step) => {
     e.preventDefault();
@@ -597,6 +2313,44 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
     setNodes(prev => prev.filter(n => !(n.midi === midi && n.step === step)));
   }, [pushToHistory]);
 
+  // 网格中的每一拍，用于绘制小节线和 X 轴的 小节.拍 标签
+  const beats = getBeats(timeSignatures, gridSteps);
+  const beatsByStep = new Map(beats.map(b => [b.step, b]));
+
+  // 速度轨曲线：纵向按当前出现的速度范围缩放
+  const tempoPoints = getTempoPoints(bpm, tempoChanges);
+  const tempoLow = Math.min(...tempoPoints.map(p => p.bpm)) - 10;
+  const tempoHigh = Math.max(...tempoPoints.map(p => p.bpm)) + 10;
+  const tempoToY = (value) => 4 + ((tempoHigh - value) / (tempoHigh - tempoLow)) * (TEMPO_LANE_HEIGHT - 8);
+  const tempoCurve = tempoPoints.flatMap((point, i) => {
+    const prev = tempoPoints[i - 1];
+    const x = point.step * cellWidth;
+    return prev && point.ramp === 'instant' ? [[x, tempoToY(prev.bpm)], [x, tempoToY(point.bpm)]] : [[x, tempoToY(point.bpm)]];
+  }).concat([[gridSteps * cellWidth, tempoToY(tempoPoints[tempoPoints.length - 1].bpm)]]);
+
+  const handleTempoLaneClick = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const step = Math.round((e.clientX - rect.left) / cellWidth);
+    if (step <= 0 || tempoChanges.some(c => c.step === step)) return;
+    const change = { step, bpm: Math.round(getTempoAt(tempoPoints, step)), ramp: 'instant' };
+    setTempoChanges(prev => [...prev, change].sort((a, b) => a.step - b.step));
+  };
+
+  const updateTempoChange = (index, changes) => {
+    setTempoChanges(prev => {
+      if (changes.step !== undefined && prev.some((c, i) => i !== index && c.step === changes.step)) return prev;
+      return prev.map((c, i) => (i === index ? { ...c, ...changes } : c)).sort((a, b) => a.step - b.step);
+    });
+  };
+
+  const updateTimeSignature = (index, changes) => {
+    setTimeSignatures(prev => {
+      // 第 1 小节的拍号不能移走，也不能移到已有拍号的小节上
+      if (changes.bar !== undefined && (changes.bar < 1 || prev.some((sig, i) => i !== index && sig.bar === changes.bar))) return prev;
+      return normalizeTimeSignatures(prev.map((sig, i) => (i === index ? { ...sig, ...changes } : sig)));
+    });
+  };
+
   return (
     <div style={{ height: '100vh', display: 'flex', flexDirection: 'column' }}>
       {/* 顶部工具栏：预设列表(左) + 播放控制(右) + 预设设置(下) */}
@@ -638,6 +2392,22 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
               >
                 <div style={{ width: 8, height: 8, borderRadius: '50%', background: p.color, marginRight: 8 }} />
                 <span style={{ color: activePresetId === p.id ? '#fff' : '#aaa', fontSize: 13 }}>{p.name}</span>
+                {getPresetSourceStatus(p) === 'loading' && (
+                  <Tooltip title="音色加载中">
+                    <LoadingOutlined style={{ color: '#aaa', fontSize: 12, marginLeft: 6 }} />
+                  </Tooltip>
+                )}
+                {getPresetSourceStatus(p) === 'failed' && (
+                  <Tooltip title="音色加载失败，点击重试">
+                    <WarningOutlined
+                      style={{ color: '#ff4d4f', fontSize: 12, marginLeft: 6 }}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        retryPresetSource(p);
+                      }}
+                    />
+                  </Tooltip>
+                )}
               </div>
             ))}
             <Button icon={<PlusOutlined />} onClick={addPreset} type="dashed">新建</Button>
@@ -660,14 +2430,306 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
             <div style={{ display: 'flex', alignItems: 'center', marginRight: 16 }}>
               <Text style={{ color: '#aaa', fontSize: 12, marginRight: 8, userSelect: 'none' }}>播放速度</Text>
               <InputNumber
-                min={40}
-                max={300}
+                min={MIN_BPM}
+                max={MAX_BPM}
                 value={bpm}
                 onChange={setBpm}
                 size="middle"
                 style={{ width: 80 }}
               />
             </div>
+            <Popover
+              title="拍号"
+              trigger="click"
+              content={
+                <div style={{ width: 280 }}>
+                  {timeSignatures.map((sig, index) => (
+                    <div key={index} style={{ display: 'flex', alignItems: 'center', gap: 6, marginBottom: 8 }}>
+                      <Text style={{ fontSize: 12 }}>第</Text>
+                      <InputNumber
+                        size="small"
+                        min={index === 0 ? 1 : 2}
+                        value={sig.bar + 1}
+                        disabled={index === 0}
+                        onChange={v => v && updateTimeSignature(index, { bar: v - 1 })}
+                        style={{ width: 64 }}
+                      />
+                      <Text style={{ fontSize: 12 }}>小节</Text>
+                      <InputNumber
+                        size="small"
+                        min={1}
+                        max={16}
+                        value={sig.numerator}
+                        onChange={v => v && updateTimeSignature(index, { numerator: v })}
+                        style={{ width: 52 }}
+                      />
+                      <Text>/</Text>
+                      <Select
+                        size="small"
+                        value={sig.denominator}
+                        onChange={v => updateTimeSignature(index, { denominator: v })}
+                        options={TIME_SIGNATURE_DENOMINATORS.map(d => ({ label: d, value: d }))}
+                        style={{ width: 56 }}
+                      />
+                      {index > 0 && (
+                        <Button
+                          size="small"
+                          type="text"
+                          danger
+                          icon={<DeleteOutlined />}
+                          onClick={() => setTimeSignatures(prev => prev.filter((_, i) => i !== index))}
+                        />
+                      )}
+                    </div>
+                  ))}
+                  <Button
+                    size="small"
+                    type="dashed"
+                    icon={<PlusOutlined />}
+                    block
+                    onClick={() => setTimeSignatures(prev => {
+                      const last = prev[prev.length - 1];
+                      return normalizeTimeSignatures([...prev, { ...last, bar: last.bar + 4 }]);
+                    })}
+                  >
+                    添加拍号变化
+                  </Button>
+                </div>
+              }
+            >
+              <Button style={{ marginRight: 8 }}>
+                {timeSignatures[0].numerator}/{timeSignatures[0].denominator}
+                {timeSignatures.length > 1 && ' …'}
+              </Button>
+            </Popover>
+            <Popover
+              title="调性"
+              trigger="click"
+              content={
+                <div style={{ width: 260 }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 10 }}>
+                    <Switch size="small" checked={keyScale.enabled} onChange={v => setKeyScale(prev => ({ ...prev, enabled: v }))} />
+                    <Text>显示音阶</Text>
+                  </div>
+                  <div style={{ display: 'flex', gap: 8, marginBottom: 10 }}>
+                    <Select
+                      size="small"
+                      value={keyScale.root}
+                      onChange={v => setKeyScale(prev => ({ ...prev, root: v }))}
+                      options={NOTE_NAMES.map((name, i) => ({ label: name, value: i }))}
+                      style={{ width: 64 }}
+                    />
+                    <Select
+                      size="small"
+                      value={keyScale.scale}
+                      onChange={v => setKeyScale(prev => ({ ...prev, scale: v }))}
+                      options={SCALES.map(({ label, value }) => ({ label, value }))}
+                      style={{ flex: 1 }}
+                      popupMatchSelectWidth={false}
+                    />
+                  </div>
+                  {keyScale.scale === 'custom' && (
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4, marginBottom: 10 }}>
+                      {NOTE_NAMES.map((_, interval) => {
+                        const checked = keyScale.custom.includes(interval);
+                        return (
+                          <Button
+                            key={interval}
+                            size="small"
+                            type={checked ? 'primary' : 'default'}
+                            disabled={interval === 0} // 主音总在音阶中
+                            onClick={() => setKeyScale(prev => ({
+                              ...prev,
+                              custom: checked
+                                ? prev.custom.filter(i => i !== interval)
+                                : [...prev.custom, interval].sort((a, b) => a - b),
+                            }))}
+                            style={{ width: 38, padding: 0 }}
+                          >
+                            {NOTE_NAMES[(keyScale.root + interval) % 12]}
+                          </Button>
+                        );
+                      })}
+                    </div>
+                  )}
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                    <Switch
+                      size="small"
+                      checked={keyScale.snap}
+                      disabled={!keyScale.enabled}
+                      onChange={v => setKeyScale(prev => ({ ...prev, snap: v }))}
+                    />
+                    <Text>输入和上下移动限制在音阶内</Text>
+                  </div>
+                </div>
+              }
+            >
+              <Button style={{ marginRight: 8 }}>{keyScale.enabled ? getKeyScaleLabel(keyScale) : '调性'}</Button>
+            </Popover>
+            <Popover
+              title="律动"
+              trigger="click"
+              content={
+                <div style={{ width: groove.template === 'custom' ? 500 : 260 }}>
+                  <Text style={{ fontSize: 12, color: '#aaa' }}>摇摆 (50% 为平直，66% 接近三连音)</Text>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 10 }}>
+                    <Slider
+                      min={MIN_SWING}
+                      max={MAX_SWING}
+                      value={groove.swing}
+                      onChange={v => setGroove(prev => ({ ...prev, swing: v }))}
+                      tooltip={{ formatter: v => `${v}%` }}
+                      style={{ flex: 1 }}
+                    />
+                    <Select
+                      size="small"
+                      value={groove.swingUnit}
+                      onChange={v => setGroove(prev => ({ ...prev, swingUnit: v }))}
+                      options={SWING_UNITS}
+                      style={{ width: 100 }}
+                    />
+                  </div>
+                  <Text style={{ fontSize: 12, color: '#aaa' }}>律动模板</Text>
+                  <Select
+                    size="small"
+                    value={groove.template}
+                    onChange={v => setGroove(prev => ({ ...prev, template: v }))}
+                    options={GROOVE_TEMPLATES.map(({ label, value }) => ({ label, value }))}
+                    style={{ width: '100%', margin: '4px 0 10px' }}
+                  />
+                  {groove.template === 'custom' && (
+                    <div style={{ marginBottom: 10 }}>
+                      <Text style={{ fontSize: 12, color: '#aaa' }}>小节内每个十六分音符的时间偏移 (% step) 与力度增量，从小节起点算起</Text>
+                      {['timing', 'velocity'].map(field => (
+                        <div key={field} style={{ display: 'flex', gap: 2, marginTop: 4 }}>
+                          {groove.custom.map((offset, i) => (
+                            <InputNumber
+                              key={i}
+                              size="small"
+                              controls={false}
+                              min={field === 'timing' ? -50 : -64}
+                              max={field === 'timing' ? 50 : 64}
+                              value={field === 'timing' ? Math.round(offset.timing * 100) : offset.velocity}
+                              onChange={v => setGroove(prev => ({
+                                ...prev,
+                                custom: prev.custom.map((item, j) => (j === i
+                                  ? { ...item, [field]: field === 'timing' ? (v ?? 0) / 100 : (v ?? 0) }
+                                  : item)),
+                              }))}
+                              title={`第 ${i + 1} 步${field === 'timing' ? '时间' : '力度'}`}
+                              style={{ width: 29, padding: 0, background: i % 4 === 0 ? '#2a2a2a' : undefined }}
+                            />
+                          ))}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                    <Switch
+                      size="small"
+                      checked={groove.humanize.enabled}
+                      onChange={v => setGroove(prev => ({ ...prev, humanize: { ...prev.humanize, enabled: v } }))}
+                    />
+                    <Text>人性化 (随机的时间与力度偏差)</Text>
+                  </div>
+                  {groove.humanize.enabled && (
+                    <div style={{ marginTop: 8 }}>
+                      <Text style={{ fontSize: 12, color: '#aaa' }}>时间 ±{groove.humanize.timing} ms</Text>
+                      <Slider
+                        min={0}
+                        max={40}
+                        value={groove.humanize.timing}
+                        onChange={v => setGroove(prev => ({ ...prev, humanize: { ...prev.humanize, timing: v } }))}
+                      />
+                      <Text style={{ fontSize: 12, color: '#aaa' }}>力度 ±{groove.humanize.velocity}</Text>
+                      <Slider
+                        min={0}
+                        max={30}
+                        value={groove.humanize.velocity}
+                        onChange={v => setGroove(prev => ({ ...prev, humanize: { ...prev.humanize, velocity: v } }))}
+                      />
+                      <Button
+                        size="small"
+                        onClick={() => setGroove(prev => ({ ...prev, humanize: { ...prev.humanize, seed: prev.humanize.seed + 1 } }))}
+                      >
+                        重新随机
+                      </Button>
+                    </div>
+                  )}
+                </div>
+              }
+            >
+              <Button style={{ marginRight: 8 }} type={isGrooveActive(groove) ? 'primary' : 'default'} ghost={isGrooveActive(groove)}>律动</Button>
+            </Popover>
+            <Popover
+              title="和弦输入"
+              trigger="click"
+              content={
+                <div style={{ width: 240 }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 10 }}>
+                    <Switch size="small" checked={chordEntry.enabled} onChange={v => setChordEntry(prev => ({ ...prev, enabled: v }))} />
+                    <Text>单击网格放置整个和弦</Text>
+                  </div>
+                  <Text style={{ fontSize: 12, color: '#aaa' }}>类型</Text>
+                  <Select
+                    size="small"
+                    value={chordEntry.type}
+                    onChange={v => setChordEntry(prev => ({ ...prev, type: v, inversion: Math.min(prev.inversion, getChordSize(v) - 1) }))}
+                    options={CHORD_TYPES.map(t => ({ label: t.symbol !== undefined ? `${t.label} (C${t.symbol})` : t.label, value: t.value }))}
+                    style={{ width: '100%', margin: '4px 0 8px' }}
+                  />
+                  <Text style={{ fontSize: 12, color: '#aaa' }}>转位</Text>
+                  <Select
+                    size="small"
+                    value={chordEntry.inversion}
+                    onChange={v => setChordEntry(prev => ({ ...prev, inversion: v }))}
+                    options={['原位', '第一转位', '第二转位', '第三转位']
+                      .slice(0, getChordSize(chordEntry.type))
+                      .map((label, value) => ({ label, value }))}
+                    style={{ width: '100%', margin: '4px 0 8px' }}
+                  />
+                  <Text style={{ fontSize: 12, color: '#aaa' }}>排列</Text>
+                  <Select
+                    size="small"
+                    value={chordEntry.voicing}
+                    onChange={v => setChordEntry(prev => ({ ...prev, voicing: v }))}
+                    options={CHORD_VOICINGS}
+                    style={{ width: '100%', marginTop: 4 }}
+                  />
+                </div>
+              }
+            >
+              <Button type={chordEntry.enabled ? 'primary' : 'default'} ghost={chordEntry.enabled} style={{ marginRight: 8 }}>和弦</Button>
+            </Popover>
+            <Dropdown
+              trigger={['click']}
+              menu={{
+                items: [
+                  { key: 'import-project', label: '打开工程', onClick: () => projectFileInputRef.current?.click() },
+                  { key: 'export-project', label: '导出工程 (含采样)', onClick: exportProject },
+                  { type: 'divider' },
+                  { key: 'import-midi', label: '导入 MIDI', onClick: () => midiFileInputRef.current?.click() },
+                  { key: 'export-midi', label: '导出 MIDI', onClick: exportMidi },
+                  { key: 'export-audio', label: '导出音频 (WAV)', onClick: () => setIsAudioExportOpen(true) },
+                ],
+              }}
+            >
+              <Button icon={<FileOutlined />}>文件</Button>
+            </Dropdown>
+            <input
+              ref={midiFileInputRef}
+              type="file"
+              accept=".mid,.midi,audio/midi"
+              style={{ display: 'none' }}
+              onChange={handleMidiFileChange}
+            />
+            <input
+              ref={projectFileInputRef}
+              type="file"
+              accept=".json,application/json"
+              style={{ display: 'none' }}
+              onChange={handleProjectFileChange}
+            />
             <Popover
               content={
                 <div style={{ width: 300 }}>
@@ -715,6 +2777,7 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
             >
               <Button icon={<SettingOutlined />}>视图设置</Button>
             </Popover>
+            <Button icon={<ControlOutlined />} onClick={() => setIsMixerOpen(true)}>混音台</Button>
             <Button 
               icon={isFullscreen ? <FullscreenExitOutlined /> : <FullscreenOutlined />} 
               onClick={toggleFullscreen}
@@ -788,13 +2851,275 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
               popupMatchSelectWidth={false}
             />
             <Select
-              value={activePreset.instrument}
-              onChange={v => updatePreset(activePresetId, { instrument: v })}
-              options={INSTRUMENTS}
-              style={{ width: 180 }}
+              value={activePreset.sourceType ?? 'soundfont'}
+              // 鼓组的音都是一次性触发，新音符默认用最短的十六分音符
+              onChange={v => updatePreset(activePresetId, v === 'drums' ? { sourceType: v, duration: '16n' } : { sourceType: v })}
+              options={[
+                { label: '采样音色', value: 'soundfont' },
+                { label: '合成器', value: 'synth' },
+                { label: '上传采样', value: 'sample' },
+                { label: '鼓组', value: 'drums' },
+              ]}
+              style={{ width: 100 }}
+              size="small"
+            />
+            {activePreset.sourceType === 'synth' ? (
+              <>
+                <Select
+                  value={activeSynth.type}
+                  onChange={v => updateActiveSynth({ type: v })}
+                  options={SYNTH_TYPES}
+                  style={{ width: 200 }}
+                  size="small"
+                />
+                <Popover
+                  title="合成器音色"
+                  trigger="click"
+                  placement="bottom"
+                  content={
+                    // 以预设 id 为 key：切换预设时重置未受控的滑块
+                    <div key={activePresetId} style={{ width: 280 }}>
+                      {activeSynth.type === 'NoiseSynth' ? (
+                        <div style={{ marginBottom: 10 }}>
+                          <Text>噪声类型</Text>
+                          <Select
+                            size="small"
+                            value={activeSynth.noise}
+                            onChange={v => updateActiveSynth({ noise: v })}
+                            options={NOISE_TYPES}
+                            style={{ width: '100%' }}
+                          />
+                        </div>
+                      ) : (
+                        <div style={{ marginBottom: 10 }}>
+                          <Text>振荡器波形</Text>
+                          <Select
+                            size="small"
+                            value={activeSynth.oscillator}
+                            onChange={v => updateActiveSynth({ oscillator: v })}
+                            options={OSCILLATOR_TYPES}
+                            style={{ width: '100%' }}
+                          />
+                        </div>
+                      )}
+                      <Text strong>包络 (ADSR)</Text>
+                      {[
+                        { key: 'attack', label: '起音 (秒)', min: 0.001, max: 2, step: 0.001 },
+                        { key: 'decay', label: '衰减 (秒)', min: 0.01, max: 2, step: 0.01 },
+                        { key: 'sustain', label: '延音电平', min: 0, max: 1, step: 0.01 },
+                        { key: 'release', label: '释音 (秒)', min: 0.01, max: 4, step: 0.01 },
+                      ].map(param => (
+                        <div key={param.key}>
+                          <Text style={{ fontSize: 12, color: '#aaa' }}>{param.label}</Text>
+                          <Slider
+                            min={param.min}
+                            max={param.max}
+                            step={param.step}
+                            defaultValue={activeSynth.envelope[param.key]}
+                            onChangeComplete={v => updateActiveSynth({ envelope: { ...activeSynth.envelope, [param.key]: v } })}
+                            style={{ margin: '4px 4px 8px' }}
+                          />
+                        </div>
+                      ))}
+                      <Divider style={{ margin: '8px 0' }} />
+                      <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 6 }}>
+                        <Switch
+                          size="small"
+                          checked={activeSynth.filter.enabled}
+                          onChange={v => updateActiveSynth({ filter: { ...activeSynth.filter, enabled: v } })}
+                        />
+                        <Text strong>滤波器</Text>
+                        <Select
+                          size="small"
+                          value={activeSynth.filter.type}
+                          onChange={v => updateActiveSynth({ filter: { ...activeSynth.filter, type: v } })}
+                          options={FILTER_TYPES}
+                          disabled={!activeSynth.filter.enabled}
+                          style={{ marginLeft: 'auto', width: 90 }}
+                        />
+                      </div>
+                      <Text style={{ fontSize: 12, color: '#aaa' }}>截止频率 (Hz)</Text>
+                      <Slider
+                        min={20}
+                        max={20000}
+                        step={10}
+                        defaultValue={activeSynth.filter.frequency}
+                        disabled={!activeSynth.filter.enabled}
+                        onChangeComplete={v => updateActiveSynth({ filter: { ...activeSynth.filter, frequency: v } })}
+                        style={{ margin: '4px 4px 8px' }}
+                      />
+                      <Text style={{ fontSize: 12, color: '#aaa' }}>Q</Text>
+                      <Slider
+                        min={0.1}
+                        max={20}
+                        step={0.1}
+                        defaultValue={activeSynth.filter.Q}
+                        disabled={!activeSynth.filter.enabled}
+                        onChangeComplete={v => updateActiveSynth({ filter: { ...activeSynth.filter, Q: v } })}
+                        style={{ margin: '4px 4px 8px' }}
+                      />
+                    </div>
+                  }
+                >
+                  <Button size="small">音色编辑</Button>
+                </Popover>
+              </>
+            ) : activePreset.sourceType === 'drums' ? (
+              <>
+                <Switch
+                  size="small"
+                  checked={!!activePreset.collapseRows}
+                  onChange={v => updatePreset(activePresetId, { collapseRows: v })}
+                />
+                <Text style={{ color: '#aaa', fontSize: 12 }}>只显示鼓组行</Text>
+                <Dropdown
+                  trigger={['click']}
+                  menu={{
+                    items: DRUM_PATTERNS.map(pattern => ({
+                      key: pattern.key,
+                      label: pattern.label,
+                      onClick: () => insertDrumPattern(pattern),
+                    })),
+                  }}
+                >
+                  <Button size="small">插入节奏</Button>
+                </Dropdown>
+              </>
+            ) : activePreset.sourceType === 'sample' ? (
+              <>
+                <Select
+                  value={activeSample.mode}
+                  onChange={setActiveSampleMode}
+                  options={SAMPLE_MODES}
+                  style={{ width: 100 }}
+                  size="small"
+                />
+                <Popover
+                  title={activeSample.mode === 'single' ? '采样 (按根音移调覆盖整个键盘)' : '采样 (每个采样对应一段音域)'}
+                  trigger="click"
+                  placement="bottom"
+                  content={
+                    <div style={{ width: activeSample.mode === 'single' ? 260 : 360, maxHeight: 420, overflowY: 'auto' }}>
+                      {activeSample.zones.slice(0, activeSample.mode === 'single' ? 1 : undefined).map(zone => (
+                        <div key={zone.id} style={{ display: 'flex', alignItems: 'center', gap: 6, marginBottom: 8 }}>
+                          <Text ellipsis style={{ flex: 1, minWidth: 0 }} title={zone.name}>{zone.name}</Text>
+                          {sampleStatus[zone.sampleId] === 'failed' && (
+                            <Tooltip title="采样读取失败">
+                              <WarningOutlined style={{ color: '#ff4d4f' }} />
+                            </Tooltip>
+                          )}
+                          <Text style={{ fontSize: 12, color: '#aaa' }}>根音</Text>
+                          <Select
+                            size="small"
+                            value={zone.root}
+                            onChange={v => updateActiveSampleZone(zone.id, { root: v })}
+                            options={SAMPLE_NOTE_OPTIONS}
+                            style={{ width: 70 }}
+                            popupMatchSelectWidth={false}
+                          />
+                          {activeSample.mode === 'multi' && (
+                            <>
+                              <Select
+                                size="small"
+                                value={zone.low}
+                                onChange={v => updateActiveSampleZone(zone.id, { low: v, high: Math.max(v, zone.high) })}
+                                options={SAMPLE_NOTE_OPTIONS}
+                                style={{ width: 70 }}
+                                popupMatchSelectWidth={false}
+                              />
+                              <Text style={{ color: '#aaa' }}>~</Text>
+                              <Select
+                                size="small"
+                                value={zone.high}
+                                onChange={v => updateActiveSampleZone(zone.id, { high: v, low: Math.min(v, zone.low) })}
+                                options={SAMPLE_NOTE_OPTIONS}
+                                style={{ width: 70 }}
+                                popupMatchSelectWidth={false}
+                              />
+                            </>
+                          )}
+                          <Button
+                            size="small"
+                            type="text"
+                            danger
+                            icon={<DeleteOutlined />}
+                            onClick={() => updateActiveSample({ zones: activeSample.zones.filter(z => z.id !== zone.id) })}
+                          />
+                        </div>
+                      ))}
+                      <Space>
+                        <Button size="small" icon={<UploadOutlined />} onClick={() => sampleFileInputRef.current?.click()}>
+                          {activeSample.mode === 'single' && activeSample.zones.length > 0 ? '替换音频' : '上传音频'}
+                        </Button>
+                        {activeSample.mode === 'multi' && activeSample.zones.length > 1 && (
+                          <Button size="small" onClick={() => updateActiveSample({ zones: distributeZoneRanges(activeSample.zones) })}>
+                            按根音划分音域
+                          </Button>
+                        )}
+                      </Space>
+                      <div style={{ marginTop: 8, fontSize: 12, color: '#888' }}>
+                        支持 WAV / MP3 / OGG；文件名中的音名 (如 piano_C4.wav) 会作为根音
+                      </div>
+                    </div>
+                  }
+                >
+                  <Button size="small">采样 ({getActiveZones(activeSample).length})</Button>
+                </Popover>
+                <input
+                  ref={sampleFileInputRef}
+                  type="file"
+                  accept={SAMPLE_FILE_ACCEPT}
+                  multiple={activeSample.mode === 'multi'}
+                  style={{ display: 'none' }}
+                  onChange={handleSampleFileChange}
+                />
+              </>
+            ) : (
+              <Select
+                value={activePreset.instrument}
+                onChange={v => updatePreset(activePresetId, { instrument: v })}
+                options={INSTRUMENTS}
+                style={{ width: 180 }}
+                size="small"
+                placeholder="选择乐器"
+              />
+            )}
+            <Select
+              value={activePreset.midiOutput ?? 'soundfont'}
+              onChange={v => updatePreset(activePresetId, v === 'soundfont'
+                ? { midiOutput: null }
+                : { midiOutput: v, midiChannel: activePreset.midiChannel ?? (isDrumView ? DRUM_CHANNEL : 0), localSound: false })}
+              onOpenChange={open => {
+                if (!open) return;
+                // 打开时重新读取端口：切换空间后重新挂载的组件也能拿到最新的输出设备
+                if (midiAccess) refreshMidiPorts(midiAccess);
+                else connectMidi();
+              }}
+              options={[
+                { label: '内置音色', value: 'soundfont' },
+                ...midiOutputs.map(o => ({ label: `MIDI: ${o.label}`, value: o.value })),
+              ]}
+              style={{ width: 160 }}
               size="small"
-              placeholder="选择乐器"
+              popupMatchSelectWidth={false}
             />
+            {activePreset.midiOutput && (
+              <>
+                <Select
+                  value={activePreset.midiChannel ?? 0}
+                  onChange={v => updatePreset(activePresetId, { midiChannel: v })}
+                  options={Array.from({ length: 16 }, (_, i) => ({ label: `通道 ${i + 1}`, value: i }))}
+                  style={{ width: 90 }}
+                  size="small"
+                />
+                <Switch
+                  size="small"
+                  checked={activePreset.localSound !== false}
+                  onChange={v => updatePreset(activePresetId, { localSound: v })}
+                />
+                <Text style={{ color: '#aaa', fontSize: 12 }}>同时播放内置音色</Text>
+              </>
+            )}
             <div style={{ display: 'flex', alignItems: 'center', marginLeft: 8, width: 120 }}>
               <Text style={{ color: '#aaa', fontSize: 12, marginRight: 4 }}>音量</Text>
               <Slider
@@ -807,9 +3132,157 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
                 tooltip={{ formatter: v => `${Math.round(v * 100)}%` }}
               />
             </div>
+            <Popover
+              title="插入效果 (按顺序处理)"
+              trigger="click"
+              placement="bottom"
+              content={
+                <div style={{ width: 300, maxHeight: 420, overflowY: 'auto' }}>
+                  {(activePreset.effects || []).map((effect, index, effects) => {
+                    const effectType = getEffectType(effect.type);
+                    return (
+                      <div key={effect.id} style={{ marginBottom: 12, padding: 8, background: '#262626', borderRadius: 6 }}>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: 6, marginBottom: 4 }}>
+                          <Switch
+                            size="small"
+                            checked={effect.enabled !== false}
+                            onChange={v => updateActiveEffects(list => list.map(e => (e.id === effect.id ? { ...e, enabled: v } : e)))}
+                          />
+                          <Text strong style={{ flex: 1 }}>{effectType.label}</Text>
+                          <Button
+                            size="small"
+                            type="text"
+                            icon={<ArrowUpOutlined />}
+                            disabled={index === 0}
+                            onClick={() => updateActiveEffects(list => moveItem(list, index, index - 1))}
+                          />
+                          <Button
+                            size="small"
+                            type="text"
+                            icon={<ArrowDownOutlined />}
+                            disabled={index === effects.length - 1}
+                            onClick={() => updateActiveEffects(list => moveItem(list, index, index + 1))}
+                          />
+                          <Button
+                            size="small"
+                            type="text"
+                            danger
+                            icon={<DeleteOutlined />}
+                            onClick={() => updateActiveEffects(list => list.filter(e => e.id !== effect.id))}
+                          />
+                        </div>
+                        {effectType.params.map(param => {
+                          const value = effect.params?.[param.key] ?? param.default;
+                          const setParam = v => updateActiveEffects(list => list.map(e => (
+                            e.id === effect.id ? { ...e, params: { ...e.params, [param.key]: v } } : e
+                          )));
+                          return (
+                            <div key={param.key}>
+                              <Text style={{ fontSize: 12, color: '#aaa' }}>{param.label}</Text>
+                              {param.options ? (
+                                <Select size="small" value={value} onChange={setParam} options={param.options} style={{ width: '100%' }} />
+                              ) : (
+                                // 松手时才写入，避免拖动过程中反复重建混响
+                                <Slider
+                                  min={param.min}
+                                  max={param.max}
+                                  step={param.step}
+                                  defaultValue={value}
+                                  onChangeComplete={setParam}
+                                  style={{ margin: '4px 4px 8px' }}
+                                />
+                              )}
+                            </div>
+                          );
+                        })}
+                      </div>
+                    );
+                  })}
+                  <Select
+                    size="small"
+                    value={null}
+                    placeholder="添加效果"
+                    options={EFFECT_TYPES.map(t => ({ label: t.label, value: t.type }))}
+                    onChange={type => updateActiveEffects(list => [
+                      ...list,
+                      { id: generateId(), type, enabled: true, params: getDefaultEffectParams(type) },
+                    ])}
+                    style={{ width: '100%' }}
+                  />
+                </div>
+              }
+            >
+              <Button size="small" style={{ marginLeft: 8 }}>
+                效果{activePreset.effects?.length ? ` (${activePreset.effects.length})` : ''}
+              </Button>
+            </Popover>
           </Space>
 
           <div style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: 16 }}>
+            <Popover
+              title="MIDI 录制"
+              trigger="click"
+              onOpenChange={open => {
+                if (open) {
+                  Tone.start();
+                  connectMidi();
+                }
+              }}
+              content={
+                isWebMidiSupported() ? (
+                  <div style={{ width: 260 }}>
+                    <div style={{ marginBottom: 10 }}>
+                      <Text>输入设备</Text>
+                      <Select
+                        value={midiInputId}
+                        onChange={setMidiInputId}
+                        options={midiInputs}
+                        placeholder="未检测到 MIDI 设备"
+                        style={{ width: '100%' }}
+                        size="small"
+                      />
+                    </div>
+                    <div style={{ marginBottom: 10 }}>
+                      <Text>录制模式</Text>
+                      <Select
+                        value={recordMode}
+                        onChange={setRecordMode}
+                        options={[
+                          { label: '关闭', value: 'off' },
+                          { label: '步进录制', value: 'step' },
+                          { label: '实时录制 (播放时)', value: 'realtime' },
+                        ]}
+                        style={{ width: '100%' }}
+                        size="small"
+                      />
+                    </div>
+                    {recordMode === 'step' && (
+                      <div>
+                        <Text>光标位置</Text>
+                        <InputNumber
+                          min={0}
+                          value={stepCursor}
+                          onChange={moveStepCursor}
+                          style={{ width: '100%' }}
+                          size="small"
+                        />
+                      </div>
+                    )}
+                  </div>
+                ) : (
+                  <Text type="secondary">当前浏览器不支持 Web MIDI</Text>
+                )
+              }
+            >
+              <Button
+                danger={recordMode !== 'off'}
+                type={recordMode !== 'off' ? 'primary' : 'default'}
+                icon={<AudioOutlined />}
+              >
+                录制
+              </Button>
+            </Popover>
+            <Divider orientation="vertical" style={{ borderColor: '#333', height: 24 }} />
             <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
                 <Switch 
                     checkedChildren={<RetweetOutlined />} 
@@ -819,6 +3292,53 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
                 />
                 <Text style={{ color: '#aaa', fontSize: 12 }}>循环</Text>
             </div>
+            <Popover
+              title="节拍器"
+              trigger="click"
+              content={
+                <div style={{ width: 220 }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 10 }}>
+                    <Switch
+                      size="small"
+                      checked={metronome.enabled}
+                      onChange={v => setMetronome(prev => ({ ...prev, enabled: v }))}
+                    />
+                    <Text>播放时打拍</Text>
+                  </div>
+                  <div style={{ marginBottom: 10 }}>
+                    <Text>节拍器音量</Text>
+                    <Slider
+                      min={0}
+                      max={1}
+                      step={0.05}
+                      value={metronome.volume}
+                      onChange={v => setMetronome(prev => ({ ...prev, volume: v }))}
+                      tooltip={{ formatter: v => `${Math.round(v * 100)}%` }}
+                    />
+                  </div>
+                  <div>
+                    <Text>预备拍</Text>
+                    <Select
+                      value={metronome.countInBars}
+                      onChange={v => setMetronome(prev => ({ ...prev, countInBars: v }))}
+                      options={[
+                        { label: '无', value: 0 },
+                        { label: '1 小节', value: 1 },
+                        { label: '2 小节', value: 2 },
+                      ]}
+                      style={{ width: '100%' }}
+                      size="small"
+                    />
+                  </div>
+                </div>
+              }
+            >
+              <Button
+                icon={<BellOutlined />}
+                type={metronome.enabled ? 'primary' : 'default'}
+                ghost={metronome.enabled}
+              />
+            </Popover>
             <Divider orientation="vertical" style={{ borderColor: '#333', height: 24 }} />
             <Space>
                 <Button
@@ -836,6 +3356,60 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
 
       {/* 坐标图表区域 + 底部 X 轴 */}
       <div style={{ flex: 1, display: 'flex', flexDirection: 'column', overflow: 'hidden', border: '1px solid #262626', borderRadius: '4px', background: '#0d0d0d' }}>
+        {/* 和弦名称栏 */}
+        <div
+          ref={chordStripScrollRef}
+          className="no-scrollbar"
+          style={{
+            height: CHORD_STRIP_HEIGHT,
+            background: '#141414',
+            borderBottom: '1px solid #262626',
+            display: 'flex',
+            overflow: 'hidden', // 与 X 轴一样由 JS 同步滚动
+            flexShrink: 0
+          }}
+        >
+          <div style={{
+            width: 80,
+            flexShrink: 0,
+            background: '#141414',
+            borderRight: '1px solid #262626',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            fontSize: '10px',
+            color: '#888',
+            userSelect: 'none'
+          }}>
+            和弦
+          </div>
+          <div style={{ position: 'relative', width: gridSteps * cellWidth, flexShrink: 0, height: '100%' }}>
+            {chordSegments.map(segment => (
+              <div
+                key={segment.start}
+                title={segment.name}
+                style={{
+                  position: 'absolute',
+                  left: segment.start * cellWidth,
+                  width: (segment.end - segment.start) * cellWidth,
+                  top: 0,
+                  bottom: 0,
+                  paddingLeft: 4,
+                  borderLeft: '1px solid #3a3a3a',
+                  fontSize: 11,
+                  lineHeight: `${CHORD_STRIP_HEIGHT}px`,
+                  color: '#d9d9d9',
+                  whiteSpace: 'nowrap',
+                  overflow: 'hidden',
+                  textOverflow: 'ellipsis',
+                  userSelect: 'none',
+                }}
+              >
+                {segment.name}
+              </div>
+            ))}
+          </div>
+        </div>
         <div
           ref={scrollContainerRef}
           onScroll={handleScroll}
@@ -857,24 +3431,40 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
               background: '#141414',
               borderRight: '1px solid #262626'
             }}>
-              {MIDI_RANGE.map(midi => (
-                <div key={midi} style={{
-                  height: cellHeight,
-                  padding: '0 8px',
-                  display: 'flex',
-                  alignItems: 'center',
-                  justifyContent: 'space-between',
-                  fontSize: '9px',
-                  color: midi % 12 === 0 ? '#177ddc' : '#888',
-                  fontWeight: midi % 12 === 0 ? 'bold' : 'normal',
-                  borderBottom: '1px solid #1a1a1a',
-                  borderRight: `2px solid ${hoveredCell?.midi === midi ? '#177ddc' : 'transparent'}`,
-                  transition: 'border-color 0.1s'
-                }}>
-                  <span>{midiToNote(midi)}</span>
-                  <span>{midi}</span>
-                </div>
-              ))}
+              {midiRows.map(midi => {
+                const drum = isDrumView ? getDrum(midi) : null;
+                const isAccentRow = showScale ? isScaleRoot(midi) : midi % 12 === 0;
+                let color = isAccentRow ? '#177ddc' : '#888';
+                if (isDrumView) color = drum ? '#bbb' : '#444';
+                else if (showScale && !isInScale(scalePitchClasses, midi)) color = '#444';
+                return (
+                  <div key={midi} title={drum?.fullName} style={{
+                    height: cellHeight,
+                    padding: '0 8px',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'space-between',
+                    fontSize: '9px',
+                    color,
+                    background: showScale && isInScale(scalePitchClasses, midi) ? '#1a1a1a' : 'transparent',
+                    fontWeight: !isDrumView && isAccentRow ? 'bold' : 'normal',
+                    borderBottom: '1px solid #1a1a1a',
+                    borderRight: `2px solid ${hoveredCell?.midi === midi ? '#177ddc' : 'transparent'}`,
+                    transition: 'border-color 0.1s',
+                    whiteSpace: 'nowrap',
+                    overflow: 'hidden'
+                  }}>
+                    {drum ? (
+                      <span>{drum.name}</span>
+                    ) : (
+                      <>
+                        <span>{midiToNote(midi)}</span>
+                        <span>{midi}</span>
+                      </>
+                    )}
+                  </div>
+                );
+              })}
             </div>
 
             {/* 图表网格 */}
@@ -882,11 +3472,11 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
               style={{ 
                 flexGrow: 1, 
                 position: 'relative',
-                height: MIDI_RANGE.length * cellHeight,
+                height: midiRows.length * cellHeight,
                 backgroundImage: `
                   linear-gradient(to right, #1a1a1a 1px, transparent 1px),
                   linear-gradient(to bottom, #1a1a1a 1px, transparent 1px),
-                  linear-gradient(to bottom, #111 ${cellHeight}px, transparent ${cellHeight}px)
+                  ${rowBandBackground}
                 `,
                 backgroundSize: `
                   ${cellWidth}px ${cellHeight}px,
@@ -894,17 +3484,26 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
                   100% ${cellHeight * 12}px
                 `,
                 backgroundAttachment: 'local',
-                cursor: 'crosshair',
+                cursor: hoveredCell && nodes.some(n => n.midi === hoveredCell.midi && n.step === hoveredCell.step) ? 'move' : 'crosshair',
               }}
               onMouseDown={(e) => {
                 mouseDownPosRef.current = { x: e.clientX, y: e.clientY };
                 
-                // Box Selection Logic
                 if (e.button !== 0) return; // Left click only
 
                 const startX = e.nativeEvent.offsetX;
                 const startY = e.nativeEvent.offsetY;
-                
+
+                // 按在音符上：拖动音符，而不是框选
+                const hitMidi = midiRows[Math.floor(startY / cellHeight)];
+                const hitStep = Math.floor(startX / cellWidth);
+                const hitNode = nodes.find(n => n.midi === hitMidi && n.step === hitStep);
+                if (hitNode) {
+                    handleNodeDragStart(e, hitNode);
+                    return;
+                }
+
+                // Box Selection Logic
                 dragStartRef.current = { x: startX, y: startY };
 
                 const getSelectionRect = (x1, y1, x2, y2) => ({
@@ -943,7 +3542,8 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
 
                         nodes.forEach(node => {
                             const nodeX = node.step * cellWidth;
-                            const midiIndex = MIDI_RANGE.indexOf(node.midi);
+                            const midiIndex = midiRows.indexOf(node.midi);
+                            if (midiIndex === -1) return; // 折叠视图中不显示的行
                             const nodeY = midiIndex * cellHeight;
                             // Only check intersection with the head of the node (single cell width)
                             const nodeHeadW = cellWidth; 
@@ -989,7 +3589,7 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
                 
                 const step = Math.floor(offsetX / cellWidth);
                 const midiIndex = Math.floor(offsetY / cellHeight);
-                const midi = MIDI_RANGE[midiIndex];
+                const midi = midiRows[midiIndex];
 
                 if (step >= 0 && step < gridSteps && midi !== undefined) {
                   const existingNode = nodes.find(n => n.midi === midi && n.step === step);
@@ -1011,7 +3611,10 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
                         setSelectedNodeIds(new Set([existingNode.id]));
                       }
                     }
-                  } else {
+                  } else if (isChordEntry) {
+                    // 开启音阶吸附时只能在音阶音上添加
+                    if (!snapToScale || isInScale(scalePitchClasses, midi)) placeChord(midi, step);
+                  } else if (!snapToScale || isInScale(scalePitchClasses, midi)) {
                     // Add node
                     const newNodeId = toggleNode(midi, step);
                     if (newNodeId) {
@@ -1030,7 +3633,7 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
                 
                 const step = Math.floor(offsetX / cellWidth);
                 const midiIndex = Math.floor(offsetY / cellHeight);
-                const midi = MIDI_RANGE[midiIndex];
+                const midi = midiRows[midiIndex];
 
                 if (step >= 0 && step < gridSteps && midi !== undefined) {
                   const cell = { midi, step };
@@ -1052,13 +3655,28 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
                 
                 const step = Math.floor(offsetX / cellWidth);
                 const midiIndex = Math.floor(offsetY / cellHeight);
-                const midi = MIDI_RANGE[midiIndex];
+                const midi = midiRows[midiIndex];
                 
                 if (step >= 0 && step < gridSteps && midi !== undefined) {
                   handleRightClick(e, midi, step);
                 }
               }}
             >
+              {/* 小节线与拍线 */}
+              {beats.map(({ step, beat }) => (
+                <div
+                  key={step}
+                  style={{
+                    position: 'absolute',
+                    left: step * cellWidth,
+                    top: 0,
+                    bottom: 0,
+                    borderLeft: `1px solid ${beat === 1 ? '#3a3a3a' : '#262626'}`,
+                    pointerEvents: 'none',
+                  }}
+                />
+              ))}
+
               {/* 播放头高亮列 */}
               {currentStep >= 0 && (
                 <div
@@ -1075,21 +3693,70 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
                 />
               )}
 
+              {/* 循环区间 */}
+              {loopRegion && (
+                <div
+                  style={{
+                    position: 'absolute',
+                    left: loopRegion.start * cellWidth,
+                    width: (loopRegion.end - loopRegion.start) * cellWidth,
+                    top: 0,
+                    bottom: 0,
+                    background: isLooping ? 'rgba(255, 197, 61, 0.06)' : 'rgba(255, 255, 255, 0.02)',
+                    borderLeft: '1px solid rgba(255, 197, 61, 0.5)',
+                    borderRight: '1px solid rgba(255, 197, 61, 0.5)',
+                    pointerEvents: 'none',
+                    zIndex: 1
+                  }}
+                />
+              )}
+
+              {/* 播放光标 */}
+              <div
+                style={{
+                  position: 'absolute',
+                  left: playheadStep * cellWidth,
+                  top: 0,
+                  bottom: 0,
+                  width: 1,
+                  background: '#52c41a',
+                  pointerEvents: 'none',
+                  zIndex: 4
+                }}
+              />
+
+              {/* 步进录制光标 */}
+              {recordMode === 'step' && (
+                <div
+                  style={{
+                    position: 'absolute',
+                    left: stepCursor * cellWidth,
+                    top: 0,
+                    bottom: 0,
+                    width: 2,
+                    background: '#ff4d4f',
+                    pointerEvents: 'none',
+                    zIndex: 4
+                  }}
+                />
+              )}
+
               {/* Hover 高亮 */}
-              {hoveredCell && (
+              {hoveredCell && (isChordEntry ? getChordMidis(hoveredCell.midi) : [hoveredCell.midi]).map(midi => (
                  <div
+                  key={midi}
                   style={{
                     position: 'absolute',
                     left: hoveredCell.step * cellWidth,
-                    top: MIDI_RANGE.indexOf(hoveredCell.midi) * cellHeight,
+                    top: midiRows.indexOf(midi) * cellHeight,
                     width: cellWidth,
                     height: cellHeight,
-                    border: '1px solid #fff',
+                    border: `1px ${midi === hoveredCell.midi ? 'solid' : 'dashed'} #fff`,
                     pointerEvents: 'none',
                     zIndex: 3,
                   }}
                 />
-              )}
+              ))}
 
               {/* Box Selection Visual */}
               {selectionBox && (
@@ -1111,9 +3778,8 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
               {/* 音符节点 */}
               {nodes.map(node => {
                 const nodePreset = presets.find(p => p.id === node.presetId) || presets[0];
-                const midiIndex = MIDI_RANGE.indexOf(node.midi);
+                const midiIndex = midiRows.indexOf(node.midi);
                 if (midiIndex === -1) return null;
-                const durationSteps = DURATION_STEPS[node.duration] || 1;
                 const isSelected = selectedNodeIds.has(node.id);
 
                 return (
@@ -1156,20 +3822,251 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
                         position: 'absolute',
                         bottom: 0,
                         left: 0,
-                        width: durationSteps * cellWidth - 2,
+                        width: node.length * cellWidth - 2,
                         height: '3px',
                         background: nodePreset.color,
                         borderRadius: '1px',
                         boxShadow: 'none',
                       }}
                     />
+                    {/* 拖动下划线右端调整音长 */}
+                    <div
+                      onMouseDown={(e) => handleResizeMouseDown(e, node)}
+                      onClick={(e) => e.stopPropagation()}
+                      onContextMenu={(e) => {
+                        e.preventDefault();
+                        e.stopPropagation();
+                      }}
+                      style={{
+                        position: 'absolute',
+                        bottom: -3,
+                        left: node.length * cellWidth - 10,
+                        width: 10,
+                        height: 9,
+                        cursor: 'ew-resize',
+                        pointerEvents: 'auto',
+                        zIndex: 4,
+                      }}
+                    />
                   </div>
                 );
               })}
+
+              {/* 琶音预览 */}
+              {arpPreview.map(note => {
+                const midiIndex = midiRows.indexOf(note.midi);
+                if (midiIndex === -1) return null;
+                const notePreset = presets.find(p => p.id === note.presetId) || presets[0];
+                return (
+                  <div
+                    key={`${note.midi}:${note.step}`}
+                    style={{
+                      position: 'absolute',
+                      left: note.step * cellWidth + 1,
+                      top: midiIndex * cellHeight + 1,
+                      width: Math.max(4, note.length * cellWidth - 2),
+                      height: cellHeight - 1,
+                      border: `1px dashed ${notePreset.color}`,
+                      background: 'rgba(255, 255, 255, 0.08)',
+                      borderRadius: '2px',
+                      zIndex: 5,
+                      pointerEvents: 'none',
+                    }}
+                  />
+                );
+              })}
             </div>
           </div>
         </div>
         
+        {/* 速度轨：单击空白处添加变化点，单击变化点编辑 */}
+        <div
+          ref={tempoLaneScrollRef}
+          className="no-scrollbar"
+          style={{
+            height: TEMPO_LANE_HEIGHT,
+            background: '#141414',
+            borderTop: '1px solid #262626',
+            display: 'flex',
+            overflow: 'hidden',
+            flexShrink: 0
+          }}
+        >
+          <div style={{
+            width: 80,
+            flexShrink: 0,
+            background: '#141414',
+            borderRight: '1px solid #262626',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            fontSize: '10px',
+            color: '#888',
+            userSelect: 'none'
+          }}>
+            速度
+          </div>
+          <div
+            onClick={handleTempoLaneClick}
+            style={{
+              position: 'relative',
+              width: gridSteps * cellWidth,
+              flexShrink: 0,
+              height: '100%',
+              cursor: 'copy',
+            }}
+          >
+            <svg
+              width={gridSteps * cellWidth}
+              height={TEMPO_LANE_HEIGHT}
+              style={{ position: 'absolute', left: 0, top: 0, pointerEvents: 'none' }}
+            >
+              <polyline points={tempoCurve.map(([x, y]) => `${x},${y}`).join(' ')} fill="none" stroke="#ffc53d" strokeWidth={1.5} />
+            </svg>
+            <span style={{ position: 'absolute', left: 4, top: 2, fontSize: 10, color: '#ffc53d', pointerEvents: 'none' }}>
+              {bpm}
+            </span>
+            {tempoChanges.map((change, index) => {
+              const position = getBarBeat(timeSignatures, change.step);
+              return (
+                <Popover
+                  key={index}
+                  trigger="click"
+                  title={`速度变化 (${position.bar}.${position.beat})`}
+                  content={
+                    <div style={{ width: 220 }}>
+                      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 8 }}>
+                        <Text>位置 (步)</Text>
+                        <InputNumber
+                          size="small"
+                          min={1}
+                          value={change.step}
+                          onChange={v => v && updateTempoChange(index, { step: v })}
+                          style={{ width: 100 }}
+                        />
+                      </div>
+                      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 8 }}>
+                        <Text>速度 (BPM)</Text>
+                        <InputNumber
+                          size="small"
+                          min={MIN_BPM}
+                          max={MAX_BPM}
+                          value={change.bpm}
+                          onChange={v => v && updateTempoChange(index, { bpm: v })}
+                          style={{ width: 100 }}
+                        />
+                      </div>
+                      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 8 }}>
+                        <Text>过渡</Text>
+                        <Select
+                          size="small"
+                          value={change.ramp}
+                          onChange={v => updateTempoChange(index, { ramp: v })}
+                          options={[
+                            { label: '跳变', value: 'instant' },
+                            { label: '从上一点线性渐变', value: 'linear' },
+                          ]}
+                          style={{ width: 140 }}
+                        />
+                      </div>
+                      <Button
+                        size="small"
+                        danger
+                        block
+                        icon={<DeleteOutlined />}
+                        onClick={() => setTempoChanges(prev => prev.filter((_, i) => i !== index))}
+                      >
+                        删除
+                      </Button>
+                    </div>
+                  }
+                >
+                  <div
+                    onClick={e => e.stopPropagation()}
+                    style={{
+                      position: 'absolute',
+                      left: change.step * cellWidth - 5,
+                      top: tempoToY(change.bpm) - 5,
+                      width: 10,
+                      height: 10,
+                      borderRadius: '50%',
+                      background: '#ffc53d',
+                      border: '1px solid #141414',
+                      cursor: 'pointer',
+                    }}
+                  >
+                    <span style={{ position: 'absolute', left: 12, top: -3, fontSize: 10, color: '#ffc53d', whiteSpace: 'nowrap' }}>
+                      {change.bpm}
+                    </span>
+                  </div>
+                </Popover>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* 力度编辑栏 */}
+        <div
+          ref={velocityLaneScrollRef}
+          className="no-scrollbar"
+          style={{
+            height: VELOCITY_LANE_HEIGHT,
+            background: '#141414',
+            borderTop: '1px solid #262626',
+            display: 'flex',
+            overflow: 'hidden', // 与 X 轴一样由 JS 同步滚动
+            flexShrink: 0
+          }}
+        >
+          <div style={{
+            width: 80,
+            flexShrink: 0,
+            background: '#141414',
+            borderRight: '1px solid #262626',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            fontSize: '10px',
+            color: '#888',
+            userSelect: 'none'
+          }}>
+            力度
+          </div>
+          <div
+            onMouseDown={handleVelocityLaneMouseDown}
+            style={{
+              position: 'relative',
+              width: gridSteps * cellWidth,
+              flexShrink: 0,
+              height: '100%',
+              cursor: 'ns-resize',
+              backgroundImage: 'linear-gradient(to right, #1a1a1a 1px, transparent 1px)',
+              backgroundSize: `${cellWidth}px 100%`,
+            }}
+          >
+            {nodes.map(node => {
+              const nodePreset = presets.find(p => p.id === node.presetId) || presets[0];
+              const isSelected = selectedNodeIds.has(node.id);
+              return (
+                <div
+                  key={node.id}
+                  style={{
+                    position: 'absolute',
+                    left: node.step * cellWidth + 2,
+                    bottom: 0,
+                    width: Math.max(2, cellWidth - 4),
+                    height: (node.velocity / 127) * (VELOCITY_LANE_HEIGHT - 4),
+                    background: nodePreset.color,
+                    opacity: isSelected ? 0.9 : 0.5,
+                    borderTop: `2px solid ${isSelected ? '#fff' : nodePreset.color}`,
+                    pointerEvents: 'none',
+                  }}
+                />
+              );
+            })}
+          </div>
+        </div>
+
         {/* 固定底部的 X 轴容器 */}
         <div 
            ref={xAxisScrollRef}
@@ -1186,25 +4083,71 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
           {/* 左下角空块 (对应 YAxis 宽度) */}
           <div style={{ width: 80, flexShrink: 0, background: '#141414', borderRight: '1px solid #262626' }} />
            
-          {/* X轴刻度 */}
-          <div style={{ display: 'flex' }}> 
-             {Array.from({ length: gridSteps }).map((_, i) => (
-                <div key={i} style={{
-                  width: cellWidth,
-                  flexShrink: 0,
-                  textAlign: 'center',
-                  height: '30px',
-                  background: currentStep === i ? '#111' : 'transparent',
-                  borderRight: '1px solid #1a1a1a',
-                  borderTop: `2px solid ${hoveredCell?.step === i ? '#177ddc' : 'transparent'}`,
-                  fontSize: '10px',
-                  lineHeight: '30px',
-                  color: i % 4 === 0 ? '#177ddc' : '#555',
-                  transition: 'all 0.1s'
-                }}>
-                  {i}
-                </div>
-              ))}
+          {/* X轴刻度 (拖动绘制循环区间，右键清除) */}
+          <div
+            style={{ display: 'flex', position: 'relative', cursor: 'pointer' }}
+            onMouseDown={handleRulerMouseDown}
+            onContextMenu={(e) => {
+              e.preventDefault();
+              setLoopRegion(null);
+            }}
+          >
+             {loopRegion && (
+                <div
+                  style={{
+                    position: 'absolute',
+                    left: loopRegion.start * cellWidth,
+                    width: (loopRegion.end - loopRegion.start) * cellWidth,
+                    top: 0,
+                    bottom: 0,
+                    background: isLooping ? 'rgba(255, 197, 61, 0.2)' : 'rgba(255, 255, 255, 0.06)',
+                    borderLeft: '3px solid #ffc53d',
+                    borderRight: '3px solid #ffc53d',
+                    pointerEvents: 'none',
+                  }}
+                />
+             )}
+             {/* 播放光标标记 */}
+             <div
+               style={{
+                 position: 'absolute',
+                 left: playheadStep * cellWidth - 5,
+                 top: 0,
+                 width: 0,
+                 height: 0,
+                 borderLeft: '5px solid transparent',
+                 borderRight: '5px solid transparent',
+                 borderTop: '8px solid #52c41a',
+                 pointerEvents: 'none',
+                 zIndex: 1,
+               }}
+             />
+             {Array.from({ length: gridSteps }).map((_, i) => {
+                const beat = beatsByStep.get(i);
+                return (
+                  <div key={i} style={{
+                    width: cellWidth,
+                    flexShrink: 0,
+                    paddingLeft: 3,
+                    whiteSpace: 'nowrap',
+                    overflow: 'visible',
+                    height: '30px',
+                    background: currentStep === i ? '#111' : 'transparent',
+                    borderLeft: `1px solid ${beat?.beat === 1 ? '#3a3a3a' : 'transparent'}`,
+                    borderTop: `2px solid ${hoveredCell?.step === i ? '#177ddc' : 'transparent'}`,
+                    fontSize: '10px',
+                    lineHeight: '30px',
+                    color: beat?.beat === 1 ? '#177ddc' : '#555',
+                    fontWeight: beat?.beat === 1 ? 'bold' : 'normal',
+                    transition: 'all 0.1s'
+                  }}>
+                    {beat && `${beat.bar}.${beat.beat}`}
+                    {beat?.meter.step === i && (
+                      <span style={{ color: '#ffc53d', marginLeft: 4 }}>{beat.meter.numerator}/{beat.meter.denominator}</span>
+                    )}
+                  </div>
+                );
+              })}
           </div>
         </div>
       </div>
@@ -1235,13 +4178,180 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
                     <Select 
                         size="small" 
                         style={{ width: 100 }} 
-                        placeholder="节拍"
-                        value={nodes.find(n => selectedNodeIds.has(n.id))?.duration} 
+                        placeholder={`${+(nodes.find(n => selectedNodeIds.has(n.id))?.length ?? 0).toFixed(2)} 步`}
+                        value={findDurationByLength(nodes.find(n => selectedNodeIds.has(n.id))?.length)} 
                         onChange={(val) => handleChangeDuration(val)}
                         options={DURATIONS} 
                         popupMatchSelectWidth={false}
                     />
 
+                    <Popover
+                        trigger="click"
+                        title="力度"
+                        content={
+                            <div style={{ width: 220 }}>
+                                <Slider
+                                    min={1}
+                                    max={127}
+                                    key={[...selectedNodeIds].join(',')}
+                                    defaultValue={nodes.find(n => selectedNodeIds.has(n.id))?.velocity}
+                                    onChangeComplete={(val) => handleChangeVelocity(() => val)}
+                                />
+                                <Space>
+                                    <Button size="small" onClick={() => handleChangeVelocity(v => v * 0.9)}>-10%</Button>
+                                    <Button size="small" onClick={() => handleChangeVelocity(v => v * 1.1)}>+10%</Button>
+                                </Space>
+                            </div>
+                        }
+                    >
+                        <Button size="small">力度</Button>
+                    </Popover>
+
+                    <Popover
+                        trigger="click"
+                        title="琶音 (虚线为预览)"
+                        open={isArpOpen}
+                        onOpenChange={setIsArpOpen}
+                        content={
+                            <div style={{ width: 240 }}>
+                                <Text style={{ fontSize: 12, color: '#aaa' }}>方向</Text>
+                                <Select
+                                    size="small"
+                                    value={arp.direction}
+                                    onChange={v => setArp(prev => ({ ...prev, direction: v }))}
+                                    options={ARP_DIRECTIONS}
+                                    style={{ width: '100%', margin: '4px 0 8px' }}
+                                />
+                                <Text style={{ fontSize: 12, color: '#aaa' }}>速率</Text>
+                                <Select
+                                    size="small"
+                                    value={arp.rate}
+                                    onChange={v => setArp(prev => ({ ...prev, rate: v }))}
+                                    options={ARP_RATES}
+                                    style={{ width: '100%', margin: '4px 0 8px' }}
+                                />
+                                <Text style={{ fontSize: 12, color: '#aaa' }}>八度范围</Text>
+                                <Select
+                                    size="small"
+                                    value={arp.octaves}
+                                    onChange={v => setArp(prev => ({ ...prev, octaves: v }))}
+                                    options={[1, 2, 3, 4].map(n => ({ label: `${n} 个八度`, value: n }))}
+                                    style={{ width: '100%', margin: '4px 0 8px' }}
+                                />
+                                <Text style={{ fontSize: 12, color: '#aaa' }}>门限 (音长占间隔的比例)</Text>
+                                <Slider
+                                    min={0.1}
+                                    max={1}
+                                    step={0.05}
+                                    value={arp.gate}
+                                    onChange={v => setArp(prev => ({ ...prev, gate: v }))}
+                                    tooltip={{ formatter: v => `${Math.round(v * 100)}%` }}
+                                    style={{ margin: '4px 4px 12px' }}
+                                />
+                                <Space>
+                                    {arp.direction === 'random' && (
+                                        <Button size="small" onClick={() => setArp(prev => ({ ...prev, seed: prev.seed + 1 }))}>重新随机</Button>
+                                    )}
+                                    <Button size="small" icon={<PlayCircleOutlined />} onClick={auditionArpeggio}>试听</Button>
+                                    <Button size="small" type="primary" onClick={applyArpeggio}>应用</Button>
+                                </Space>
+                            </div>
+                        }
+                    >
+                        <Button size="small">琶音</Button>
+                    </Popover>
+
+                    <Popover
+                        trigger="click"
+                        title="变换"
+                        content={
+                            <div style={{ width: 260 }}>
+                                <Text style={{ fontSize: 12, color: '#aaa' }}>移调</Text>
+                                <Space style={{ margin: '4px 0 8px' }}>
+                                    <InputNumber
+                                        size="small"
+                                        min={-87}
+                                        max={87}
+                                        value={transformOptions.semitones}
+                                        onChange={v => setTransformOptions(prev => ({ ...prev, semitones: v ?? 0 }))}
+                                        suffix="半音"
+                                        style={{ width: 110 }}
+                                    />
+                                    <Button size="small" onClick={() => applySelectionTransform(selected => transpose(selected, transformOptions.semitones))}>应用</Button>
+                                </Space>
+                                <Space style={{ marginBottom: 8 }}>
+                                    <Button size="small" onClick={() => applySelectionTransform(selected => transpose(selected, -12))}>下八度</Button>
+                                    <Button size="small" onClick={() => applySelectionTransform(selected => transpose(selected, 12))}>上八度</Button>
+                                </Space>
+                                <br />
+                                <Text style={{ fontSize: 12, color: '#aaa' }}>倒影 (以轴音为中心翻转音程)</Text>
+                                <Space style={{ margin: '4px 0 8px' }}>
+                                    <Select
+                                        size="small"
+                                        showSearch
+                                        allowClear
+                                        placeholder="最早的音"
+                                        value={transformOptions.pivot}
+                                        onChange={v => setTransformOptions(prev => ({ ...prev, pivot: v ?? null }))}
+                                        options={NOTE_OPTIONS}
+                                        style={{ width: 110 }}
+                                    />
+                                    <Button
+                                        size="small"
+                                        onClick={() => applySelectionTransform(selected => {
+                                            const first = selected.reduce((a, b) => (b.step < a.step || (b.step === a.step && b.midi < a.midi) ? b : a));
+                                            return invert(selected, transformOptions.pivot ?? first.midi);
+                                        })}
+                                    >
+                                        倒影
+                                    </Button>
+                                </Space>
+                                <br />
+                                <Text style={{ fontSize: 12, color: '#aaa' }}>时间</Text>
+                                <Space wrap style={{ margin: '4px 0 8px' }}>
+                                    <Button size="small" onClick={() => applySelectionTransform(retrograde)}>逆行</Button>
+                                    <Button size="small" onClick={() => applySelectionTransform(selected => stretch(selected, 2))}>×2</Button>
+                                    <Button size="small" onClick={() => applySelectionTransform(selected => stretch(selected, 0.5))}>×½</Button>
+                                    <Button size="small" onClick={() => applySelectionTransform(legato)}>连奏</Button>
+                                </Space>
+                                <br />
+                                <Text style={{ fontSize: 12, color: '#aaa' }}>量化起始位置</Text>
+                                <Space style={{ marginTop: 4 }}>
+                                    <Select
+                                        size="small"
+                                        value={transformOptions.grid}
+                                        onChange={v => setTransformOptions(prev => ({ ...prev, grid: v }))}
+                                        options={QUANTIZE_GRIDS}
+                                        style={{ width: 110 }}
+                                    />
+                                    <Button size="small" onClick={() => applySelectionTransform(selected => quantize(selected, DURATION_STEPS[transformOptions.grid], timeSignatures))}>量化</Button>
+                                </Space>
+                            </div>
+                        }
+                    >
+                        <Button size="small">变换</Button>
+                    </Popover>
+
+                    {showScale && (
+                        <Popover
+                            trigger="click"
+                            title={`音阶内移调 (${getKeyScaleLabel(keyScale)})`}
+                            content={
+                                <Space>
+                                    <Button size="small" onClick={() => handleTransposeInScale(-scalePitchClasses.size)}>下八度</Button>
+                                    {[-2, -1, 1, 2].map(degrees => (
+                                        <Button key={degrees} size="small" onClick={() => handleTransposeInScale(degrees)}>
+                                            {degrees > 0 ? `+${degrees}` : degrees} 级
+                                        </Button>
+                                    ))}
+                                    <Button size="small" onClick={() => handleTransposeInScale(scalePitchClasses.size)}>上八度</Button>
+                                </Space>
+                            }
+                        >
+                            <Button size="small">音阶移调</Button>
+                        </Popover>
+                    )}
+
                     <Divider type="vertical" />
 
                     <Button danger type="primary" icon={<DeleteOutlined />} size="small" onClick={handleDeleteNodes}>
@@ -1251,6 +4361,239 @@ const SpaceWorkspace = ({ spaceId, headerPrefix }) => {
             </Card>
         </div>
       )}
+
+      <Drawer
+        title="混音台"
+        placement="bottom"
+        size={300}
+        open={isMixerOpen}
+        onClose={() => setIsMixerOpen(false)}
+        mask={false}
+        styles={{ body: { padding: '12px 16px' } }}
+      >
+        <div style={{ display: 'flex', gap: 12, height: '100%', overflowX: 'auto' }}>
+          {presets.map(p => {
+            const isAudible = !p.mute && (p.solo || !presets.some(other => other.solo));
+            return (
+              <div
+                key={p.id}
+                style={{
+                  width: 96,
+                  flexShrink: 0,
+                  display: 'flex',
+                  flexDirection: 'column',
+                  alignItems: 'center',
+                  gap: 8,
+                  padding: 8,
+                  background: '#1f1f1f',
+                  borderRadius: 6,
+                  borderTop: `3px solid ${p.color}`,
+                  opacity: isAudible ? 1 : 0.5,
+                }}
+              >
+                <Tooltip title={p.name}>
+                  <Text ellipsis style={{ width: '100%', textAlign: 'center', fontSize: 12 }}>{p.name}</Text>
+                </Tooltip>
+                <Space size={4}>
+                  <Button
+                    size="small"
+                    type={p.mute ? 'primary' : 'default'}
+                    danger={p.mute}
+                    onClick={() => updatePreset(p.id, { mute: !p.mute })}
+                  >
+                    M
+                  </Button>
+                  <Button
+                    size="small"
+                    type={p.solo ? 'primary' : 'default'}
+                    onClick={() => updatePreset(p.id, { solo: !p.solo })}
+                  >
+                    S
+                  </Button>
+                </Space>
+                <Tooltip title={`声像 ${Math.round((p.pan ?? 0) * 100)}`}>
+                  <Slider
+                    min={-1}
+                    max={1}
+                    step={0.05}
+                    value={p.pan ?? 0}
+                    onChange={v => updatePreset(p.id, { pan: v })}
+                    tooltip={{ open: false }}
+                    style={{ width: '100%', margin: '4px 0' }}
+                  />
+                </Tooltip>
+                <div style={{ flex: 1, display: 'flex', gap: 8, alignItems: 'stretch' }}>
+                  <Slider
+                    vertical
+                    min={0}
+                    max={4}
+                    step={0.1}
+                    value={p.volume ?? 1}
+                    onChange={v => updatePreset(p.id, { volume: v })}
+                    tooltip={{ formatter: v => `${Math.round(v * 100)}%` }}
+                  />
+                  {/* 电平表 */}
+                  <LevelMeter active={isMixerOpen} getMeter={() => channelStripsRef.current[p.id]?.meter} />
+                </div>
+              </div>
+            );
+          })}
+          {/* 主输出：总音量、压缩、限制 */}
+          <div
+            style={{
+              width: 220,
+              flexShrink: 0,
+              display: 'flex',
+              gap: 12,
+              padding: 8,
+              marginLeft: 'auto',
+              background: '#1f1f1f',
+              borderRadius: 6,
+              borderTop: '3px solid #fff',
+            }}
+          >
+            <div style={{ flex: 1, display: 'flex', flexDirection: 'column', gap: 4 }}>
+              <Text strong style={{ fontSize: 12 }}>主输出</Text>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                <Switch
+                  size="small"
+                  checked={masterBus.compressor.enabled}
+                  onChange={v => setMasterBus(prev => ({ ...prev, compressor: { ...prev.compressor, enabled: v } }))}
+                />
+                <Text style={{ fontSize: 12 }}>压缩</Text>
+              </div>
+              <Tooltip title={`阈值 ${masterBus.compressor.threshold} dB`}>
+                <Slider
+                  min={-60}
+                  max={0}
+                  value={masterBus.compressor.threshold}
+                  onChange={v => setMasterBus(prev => ({ ...prev, compressor: { ...prev.compressor, threshold: v } }))}
+                  tooltip={{ open: false }}
+                  style={{ margin: '2px 4px' }}
+                />
+              </Tooltip>
+              <Tooltip title={`压缩比 ${masterBus.compressor.ratio}:1`}>
+                <Slider
+                  min={1}
+                  max={20}
+                  step={0.5}
+                  value={masterBus.compressor.ratio}
+                  onChange={v => setMasterBus(prev => ({ ...prev, compressor: { ...prev.compressor, ratio: v } }))}
+                  tooltip={{ open: false }}
+                  style={{ margin: '2px 4px' }}
+                />
+              </Tooltip>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                <Switch
+                  size="small"
+                  checked={masterBus.limiter.enabled}
+                  onChange={v => setMasterBus(prev => ({ ...prev, limiter: { ...prev.limiter, enabled: v } }))}
+                />
+                <Text style={{ fontSize: 12 }}>限制</Text>
+              </div>
+              <Tooltip title={`上限 ${masterBus.limiter.threshold} dB`}>
+                <Slider
+                  min={-12}
+                  max={0}
+                  step={0.5}
+                  value={masterBus.limiter.threshold}
+                  onChange={v => setMasterBus(prev => ({ ...prev, limiter: { ...prev.limiter, threshold: v } }))}
+                  tooltip={{ open: false }}
+                  style={{ margin: '2px 4px' }}
+                />
+              </Tooltip>
+            </div>
+            <Slider
+              vertical
+              min={0}
+              max={4}
+              step={0.1}
+              value={masterVolume}
+              onChange={setMasterVolume}
+              tooltip={{ formatter: v => `总音量: ${Math.round(v * 100)}%` }}
+            />
+            <LevelMeter active={isMixerOpen} getMeter={() => masterBusRef.current?.meter} />
+          </div>
+        </div>
+      </Drawer>
+
+      <Modal
+        title="导入 MIDI"
+        open={!!pendingMidiImport}
+        onCancel={() => setPendingMidiImport(null)}
+        footer={[
+          <Button key="cancel" onClick={() => setPendingMidiImport(null)}>取消</Button>,
+          <Button key="merge" onClick={() => applyMidiImport('merge')}>合并到当前空间</Button>,
+          <Button key="replace" type="primary" onClick={() => applyMidiImport('replace')}>替换当前空间</Button>,
+        ]}
+      >
+        {pendingMidiImport && (
+          <Text>
+            {pendingMidiImport.fileName}：{pendingMidiImport.nodes.length} 个音符，
+            将新建 {pendingMidiImport.presets.length} 个预设
+            {pendingMidiImport.bpm ? `，速度 ${pendingMidiImport.bpm} BPM` : ''}
+            {pendingMidiImport.tempoChanges?.length > 0 ? `，${pendingMidiImport.tempoChanges.length} 处速度变化` : ''}
+            {pendingMidiImport.timeSignatures ? `，拍号 ${pendingMidiImport.timeSignatures.map(t => `${t.numerator}/${t.denominator}`).join(' → ')}` : ''}
+          </Text>
+        )}
+      </Modal>
+
+      <Modal
+        title="打开工程"
+        open={!!pendingProjectImport}
+        onCancel={() => setPendingProjectImport(null)}
+        onOk={applyProjectImport}
+        okText="替换当前空间"
+        cancelText="取消"
+      >
+        {pendingProjectImport && (
+          <Text>
+            {pendingProjectImport.fileName}：{pendingProjectImport.project.nodes.length} 个音符，
+            {pendingProjectImport.project.presets.length} 个预设
+            {pendingProjectImport.project.samples.length > 0 ? `，${pendingProjectImport.project.samples.length} 个上传的采样` : ''}。
+            当前空间的内容和撤销记录将被替换。
+          </Text>
+        )}
+      </Modal>
+
+      <Modal
+        title="导出音频"
+        open={isAudioExportOpen}
+        closable={audioExportProgress === null}
+        maskClosable={false}
+        onCancel={() => setIsAudioExportOpen(false)}
+        footer={audioExportProgress === null ? [
+          <Button key="cancel" onClick={() => setIsAudioExportOpen(false)}>取消</Button>,
+          <Button key="export" type="primary" onClick={exportAudio}>开始导出</Button>,
+        ] : [
+          <Button key="abort" danger onClick={() => audioExportAbortRef.current?.abort()}>取消导出</Button>,
+        ]}
+      >
+        <Space direction="vertical" style={{ width: '100%' }}>
+          <Space>
+            <Text>循环次数</Text>
+            <InputNumber
+              min={1}
+              max={32}
+              value={audioExportOptions.loops}
+              onChange={v => setAudioExportOptions(prev => ({ ...prev, loops: v || 1 }))}
+              disabled={audioExportProgress !== null}
+            />
+            <Text style={{ marginLeft: 16 }}>位深</Text>
+            <Select
+              value={audioExportOptions.bitDepth}
+              onChange={v => setAudioExportOptions(prev => ({ ...prev, bitDepth: v }))}
+              options={[{ label: '16 bit', value: 16 }, { label: '24 bit', value: 24 }]}
+              style={{ width: 100 }}
+              disabled={audioExportProgress !== null}
+            />
+          </Space>
+          {audioExportProgress !== null && (
+            <Progress percent={Math.round(audioExportProgress * 100)} />
+          )}
+        </Space>
+      </Modal>
+      {messageContextHolder}
     </div>
   );
 };
@@ -1273,6 +4616,16 @@ const AppContent = () => {
     localStorage.setItem('spaces', JSON.stringify(spaces));
   }, [spaces]);
 
+  // 清理不再被任何空间的预设引用的上传采样：在启动和空间列表变化 (新建、删除空间) 时执行，
+  // 替换或移除采样后留下的旧采样不会立刻删除，而是在下次启动或空间列表变化时清理
+  useEffect(() => {
+    const usedIds = new Set(spaces.flatMap(space => {
+      const saved = localStorage.getItem(getStorageKey('presets', space.id));
+      return saved ? JSON.parse(saved).flatMap(p => normalizeSample(p.sample).zones.map(zone => zone.sampleId)) : [];
+    }));
+    deleteUnusedSamples(usedIds).catch(e => console.error('Failed to clean up samples', e));
+  }, [spaces]);
+
   useEffect(() => {
     localStorage.setItem('activeSpaceId', activeSpaceId);
   }, [activeSpaceId]);
@@ -1323,6 +4676,7 @@ const AppContent = () => {
         <SpaceWorkspace 
             key={activeSpaceId} 
             spaceId={activeSpaceId}
+            spaceName={spaces.find(s => s.id === activeSpaceId)?.name}
             headerPrefix={
                 <div style={{ display: 'flex', alignItems: 'center', marginRight: 16 }}>
                     <Select
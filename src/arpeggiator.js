@@ -0,0 +1,71 @@
+// 琶音器：把选中的和弦展开成按固定时值依次发声的音符
+
+export const ARP_DIRECTIONS = [
+  { label: '上行', value: 'up' },
+  { label: '下行', value: 'down' },
+  { label: '上行再下行', value: 'upDown' },
+  { label: '随机', value: 'random' },
+  { label: '按弹奏顺序', value: 'asPlayed' },
+];
+
+export const DEFAULT_ARP = { direction: 'up', rate: '16n', octaves: 1, gate: 0.8, seed: 1 };
+
+// 可复现的伪随机数，预览和应用时生成相同的随机序列
+const createRandom = (seed) => {
+  let t = seed >>> 0;
+  return () => {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * 生成琶音
+ * 音型在和弦的时间范围 (最早开始到最晚结束) 内循环，每个音沿用和弦中对应音的预设和力度
+ * @param {Array} chordNodes 选中的节点，数组顺序视为弹奏顺序
+ * @param {{ direction: string, octaves: number, gate: number, seed: number }} options
+ * @param {number} rateSteps 每个音的间隔 (step)
+ * @returns {Array<{ midi: number, step: number, length: number, velocity: number, presetId: string }>}
+ */
+export const generateArpeggio = (chordNodes, { direction, octaves, gate, seed }, rateSteps) => {
+  if (chordNodes.length === 0 || rateSteps <= 0) return [];
+  const start = Math.min(...chordNodes.map(n => n.step));
+  const end = Math.max(...chordNodes.map(n => n.step + n.length));
+
+  // 同一音高只保留一个
+  const played = [...chordNodes]
+    .sort((a, b) => a.step - b.step)
+    .filter((n, i, list) => list.findIndex(other => other.midi === n.midi) === i);
+  const tones = [];
+  for (let octave = 0; octave < octaves; octave++) {
+    played.forEach(n => {
+      const midi = n.midi + octave * 12;
+      if (midi <= 108) tones.push({ ...n, midi });
+    });
+  }
+  const ascending = [...tones].sort((a, b) => a.midi - b.midi);
+
+  let sequence;
+  if (direction === 'down') sequence = [...ascending].reverse();
+  else if (direction === 'upDown') sequence = [...ascending, ...ascending.slice(1, -1).reverse()];
+  else if (direction === 'asPlayed') sequence = tones;
+  else sequence = ascending;
+
+  const random = createRandom(seed);
+  const result = [];
+  for (let i = 0, step = start; step < end; i++, step += rateSteps) {
+    const tone = direction === 'random'
+      ? sequence[Math.floor(random() * sequence.length)]
+      : sequence[i % sequence.length];
+    result.push({
+      midi: tone.midi,
+      step,
+      length: Math.min(rateSteps * gate, end - step),
+      velocity: tone.velocity,
+      presetId: tone.presetId,
+    });
+  }
+  return result;
+};
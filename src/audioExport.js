@@ -0,0 +1,99 @@
+import * as Tone from 'tone';
+
+// 音频导出：离线渲染 + WAV 编码，全部在浏览器端完成
+
+/**
+ * 在 OfflineAudioContext 中以快于实时的速度渲染
+ * @param {object} options
+ * @param {number} options.duration 渲染时长 (秒)
+ * @param {(context: Tone.OfflineContext) => (void|Promise<void>)} options.setup 在离线上下文中搭建音频图并安排好所有音符
+ * @param {(progress: number) => void} [options.onProgress] 渲染进度 0-1
+ * @param {AbortSignal} [options.signal] 用于取消渲染
+ * @returns {Promise<AudioBuffer>}
+ */
+export const renderOffline = async ({ duration, sampleRate = 44100, channels = 2, setup, onProgress, signal }) => {
+  const rawContext = new OfflineAudioContext(channels, Math.ceil(duration * sampleRate), sampleRate);
+  const context = new Tone.OfflineContext(rawContext);
+  await setup(context);
+
+  if (signal?.aborted) throw new DOMException('Render cancelled', 'AbortError');
+
+  // OfflineAudioContext 没有进度事件：按固定间隔 suspend 一次，汇报进度并检查是否取消。
+  // 取消后仍然 resume，让渲染跑完、上下文和音频图可以被释放，只是不再汇报进度。
+  const interval = Math.max(0.5, duration / 50);
+  for (let t = interval; t < duration; t += interval) {
+    const at = t;
+    rawContext.suspend(at).then(() => {
+      if (!signal?.aborted) onProgress?.(at / duration);
+      rawContext.resume();
+    });
+  }
+
+  const rendering = rawContext.startRendering();
+  let onAbort;
+  const cancelled = new Promise((_, reject) => {
+    onAbort = () => reject(new DOMException('Render cancelled', 'AbortError'));
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+  // 渲染结束 (包括取消后在后台跑完) 时移除监听并释放离线上下文
+  rendering.finally(() => {
+    signal?.removeEventListener('abort', onAbort);
+    context.dispose();
+  }).catch(() => {});
+
+  const buffer = await Promise.race([rendering, cancelled]);
+  onProgress?.(1);
+  return buffer;
+};
+
+/**
+ * 将 AudioBuffer 编码为 PCM WAV
+ * @param {AudioBuffer} buffer
+ * @param {16|24} bitDepth
+ * @returns {ArrayBuffer}
+ */
+export const encodeWav = (buffer, bitDepth = 16) => {
+  const numChannels = buffer.numberOfChannels;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = numChannels * bytesPerSample;
+  const dataLength = buffer.length * blockAlign;
+  const view = new DataView(new ArrayBuffer(44 + dataLength));
+
+  const writeString = (offset, str) => {
+    for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataLength, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, buffer.sampleRate, true);
+  view.setUint32(28, buffer.sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+  writeString(36, 'data');
+  view.setUint32(40, dataLength, true);
+
+  const channels = Array.from({ length: numChannels }, (_, c) => buffer.getChannelData(c));
+  const maxValue = 2 ** (bitDepth - 1) - 1;
+  let offset = 44;
+  for (let i = 0; i < buffer.length; i++) {
+    for (let c = 0; c < numChannels; c++) {
+      const sample = Math.max(-1, Math.min(1, channels[c][i]));
+      const value = Math.round(sample * maxValue);
+      if (bitDepth === 24) {
+        view.setUint8(offset, value & 0xff);
+        view.setUint8(offset + 1, (value >> 8) & 0xff);
+        view.setUint8(offset + 2, (value >> 16) & 0xff);
+      } else {
+        view.setInt16(offset, value, true);
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return view.buffer;
+};
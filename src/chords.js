@@ -0,0 +1,116 @@
+import { NOTE_NAMES, stepInScale } from './scale.js';
+
+// 和弦：按类型、转位和排列方式生成音高，以及从同时发声的音识别和弦名称
+
+/**
+ * 和弦类型，intervals 为相对根音的半音数
+ * diatonic 为调内和弦：按当前音阶从根音起叠三度，音数为 size，没有启用调性时按大调处理
+ */
+export const CHORD_TYPES = [
+  { value: 'maj', label: '大三和弦', symbol: '', intervals: [0, 4, 7] },
+  { value: 'min', label: '小三和弦', symbol: 'm', intervals: [0, 3, 7] },
+  { value: 'dim', label: '减三和弦', symbol: 'dim', intervals: [0, 3, 6] },
+  { value: 'aug', label: '增三和弦', symbol: 'aug', intervals: [0, 4, 8] },
+  { value: 'sus2', label: '挂二和弦', symbol: 'sus2', intervals: [0, 2, 7] },
+  { value: 'sus4', label: '挂四和弦', symbol: 'sus4', intervals: [0, 5, 7] },
+  { value: '7', label: '属七和弦', symbol: '7', intervals: [0, 4, 7, 10] },
+  { value: 'maj7', label: '大七和弦', symbol: 'maj7', intervals: [0, 4, 7, 11] },
+  { value: 'm7', label: '小七和弦', symbol: 'm7', intervals: [0, 3, 7, 10] },
+  { value: 'm7b5', label: '半减七和弦', symbol: 'm7b5', intervals: [0, 3, 6, 10] },
+  { value: 'dim7', label: '减七和弦', symbol: 'dim7', intervals: [0, 3, 6, 9] },
+  { value: 'add9', label: '加九和弦', symbol: 'add9', intervals: [0, 4, 7, 14] },
+  { value: 'diatonicTriad', label: '调内三和弦', diatonic: true, size: 3 },
+  { value: 'diatonicSeventh', label: '调内七和弦', diatonic: true, size: 4 },
+];
+
+// 只用于识别的和弦 (输入时不提供)
+const EXTRA_DETECT_TYPES = [
+  { symbol: '6', intervals: [0, 4, 7, 9] },
+  { symbol: 'm6', intervals: [0, 3, 7, 9] },
+  { symbol: 'madd9', intervals: [0, 3, 7, 14] },
+  { symbol: '7sus4', intervals: [0, 5, 7, 10] },
+  { symbol: 'mMaj7', intervals: [0, 3, 7, 11] },
+  { symbol: '9', intervals: [0, 4, 7, 10, 14] },
+  { symbol: 'maj9', intervals: [0, 4, 7, 11, 14] },
+  { symbol: 'm9', intervals: [0, 3, 7, 10, 14] },
+  { symbol: '5', intervals: [0, 7] },
+];
+
+export const CHORD_VOICINGS = [
+  { label: '密集排列', value: 'close' },
+  { label: 'Drop 2', value: 'drop2' },
+  { label: '开放排列', value: 'open' },
+];
+
+// 和弦的音数，转位数不超过音数 - 1
+export const getChordSize = (type) => {
+  const chordType = CHORD_TYPES.find(t => t.value === type) || CHORD_TYPES[0];
+  return chordType.diatonic ? chordType.size : chordType.intervals.length;
+};
+
+export const DEFAULT_CHORD_ENTRY = { enabled: false, type: 'maj', inversion: 0, voicing: 'close' };
+
+const MAJOR_PITCH_CLASSES = new Set([0, 2, 4, 5, 7, 9, 11]);
+
+/**
+ * 生成和弦的 MIDI 音高 (从低到高)
+ * @param {number} root 根音 MIDI
+ * @param {{ type: string, inversion: number, voicing: string }} options
+ * @param {Set<number>} [scalePitchClasses] 调内和弦使用的音阶
+ */
+export const buildChord = (root, { type, inversion, voicing }, scalePitchClasses) => {
+  const chordType = CHORD_TYPES.find(t => t.value === type) || CHORD_TYPES[0];
+  let notes;
+  if (chordType.diatonic) {
+    const pitchClasses = scalePitchClasses?.size ? scalePitchClasses : MAJOR_PITCH_CLASSES;
+    notes = Array.from({ length: chordType.size }, (_, i) => stepInScale(pitchClasses, root, i * 2));
+  } else {
+    notes = chordType.intervals.map(interval => root + interval);
+  }
+
+  // 转位：把最低的音依次移高八度
+  for (let i = 0; i < inversion % notes.length; i++) {
+    notes = [...notes.slice(1), notes[0] + 12];
+  }
+
+  if (voicing === 'drop2' && notes.length >= 3) {
+    // 第二高的音降八度
+    const index = notes.length - 2;
+    notes = [notes[index] - 12, ...notes.slice(0, index), ...notes.slice(index + 1)];
+  } else if (voicing === 'open' && notes.length >= 3) {
+    // 第二低的音升八度
+    notes = [notes[0], ...notes.slice(2), notes[1] + 12];
+  }
+  return [...notes].sort((a, b) => a - b);
+};
+
+const toPitchClass = (midi) => ((midi % 12) + 12) % 12;
+
+const DETECT_TYPES = [...CHORD_TYPES.filter(t => !t.diatonic), ...EXTRA_DETECT_TYPES].map(t => ({
+  ...t,
+  pitchClasses: [...new Set(t.intervals.map(toPitchClass))].sort((a, b) => a - b),
+}));
+
+/**
+ * 识别和弦名称，例如 [57, 60, 64, 67] -> "Am7"，[59, 62, 67] -> "G/B"
+ * 优先选低音即根音的解释；识别不出时返回 null
+ * @param {number[]} midis 同时发声的音
+ */
+export const detectChord = (midis) => {
+  if (midis.length < 2) return null;
+  const bass = toPitchClass(Math.min(...midis));
+  const pitchClasses = [...new Set(midis.map(toPitchClass))];
+  if (pitchClasses.length < 2) return null;
+
+  const roots = [bass, ...pitchClasses.filter(pc => pc !== bass)];
+  for (const root of roots) {
+    const relative = pitchClasses.map(pc => (pc - root + 12) % 12).sort((a, b) => a - b);
+    const match = DETECT_TYPES.find(t => t.pitchClasses.length === relative.length
+      && t.pitchClasses.every((pc, i) => pc === relative[i]));
+    if (match) {
+      const name = `${NOTE_NAMES[root]}${match.symbol}`;
+      return root === bass ? name : `${name}/${NOTE_NAMES[bass]}`;
+    }
+  }
+  return null;
+};
@@ -0,0 +1,171 @@
+import * as Tone from 'tone';
+
+// 鼓组：GM 打击乐音色表 (MIDI 35-81) 与本地合成的鼓声，不需要下载采样
+
+// 各类鼓声的合成层，一个鼓可以叠加多层 (如军鼓 = 鼓皮 + 噪声)
+const kick = (note, decay = 0.4) => [{ type: 'membrane', note, decay, octaves: 6, pitchDecay: 0.05 }];
+const tom = (note) => [{ type: 'membrane', note, decay: 0.35, octaves: 2, pitchDecay: 0.08 }];
+const hand = (note, decay = 0.15) => [{ type: 'membrane', note, decay, octaves: 1.5, pitchDecay: 0.02 }];
+const snare = (note, decay = 0.2) => [
+  { type: 'membrane', note, decay: 0.1, octaves: 2, pitchDecay: 0.02, gain: 0.6 },
+  { type: 'noise', decay, filter: { type: 'highpass', frequency: 1500 } },
+];
+const noise = (decay, filter, noiseType = 'white') => [{ type: 'noise', decay, filter, noise: noiseType }];
+const metal = (note, decay, resonance = 4000, harmonicity = 5.1) => [{ type: 'metal', note, decay, resonance, harmonicity, gain: 0.5 }];
+const tone = (note, decay, oscillator = 'sine') => [{ type: 'tone', note, decay, oscillator }];
+
+/**
+ * GM 打击乐音色表
+ * name 用于 Y 轴的短名称，fullName 为 GM 标准名称，chokes 为会被这个鼓掐断的鼓 (闭合踩镲掐断开放踩镲)
+ */
+export const GM_PERCUSSION = [
+  { midi: 35, name: 'Kick 2', fullName: 'Acoustic Bass Drum', layers: kick('A0', 0.5) },
+  { midi: 36, name: 'Kick', fullName: 'Bass Drum 1', layers: kick('C1') },
+  { midi: 37, name: 'Side Stick', fullName: 'Side Stick', layers: [...tone('C5', 0.04, 'triangle'), ...noise(0.03, { type: 'bandpass', frequency: 2500 })] },
+  { midi: 38, name: 'Snare', fullName: 'Acoustic Snare', layers: snare('G2') },
+  { midi: 39, name: 'Clap', fullName: 'Hand Clap', layers: noise(0.15, { type: 'bandpass', frequency: 1200 }, 'pink') },
+  { midi: 40, name: 'E. Snare', fullName: 'Electric Snare', layers: snare('A2', 0.15) },
+  { midi: 41, name: 'Low Floor Tom', fullName: 'Low Floor Tom', layers: tom('F1') },
+  { midi: 42, name: 'Closed Hat', fullName: 'Closed Hi-Hat', layers: metal('C4', 0.05), chokes: [46] },
+  { midi: 43, name: 'Hi Floor Tom', fullName: 'High Floor Tom', layers: tom('A1') },
+  { midi: 44, name: 'Pedal Hat', fullName: 'Pedal Hi-Hat', layers: metal('C4', 0.08), chokes: [46] },
+  { midi: 45, name: 'Low Tom', fullName: 'Low Tom', layers: tom('C2') },
+  { midi: 46, name: 'Open Hat', fullName: 'Open Hi-Hat', layers: metal('C4', 0.4) },
+  { midi: 47, name: 'Low-Mid Tom', fullName: 'Low-Mid Tom', layers: tom('D2') },
+  { midi: 48, name: 'Hi-Mid Tom', fullName: 'Hi-Mid Tom', layers: tom('F2') },
+  { midi: 49, name: 'Crash', fullName: 'Crash Cymbal 1', layers: metal('C4', 1.5, 3000) },
+  { midi: 50, name: 'High Tom', fullName: 'High Tom', layers: tom('A2') },
+  { midi: 51, name: 'Ride', fullName: 'Ride Cymbal 1', layers: metal('E4', 1, 5000, 7.1) },
+  { midi: 52, name: 'China', fullName: 'Chinese Cymbal', layers: metal('A3', 1.2, 2000, 3.1) },
+  { midi: 53, name: 'Ride Bell', fullName: 'Ride Bell', layers: metal('A4', 0.8, 6000, 2.1) },
+  { midi: 54, name: 'Tambourine', fullName: 'Tambourine', layers: [...metal('E5', 0.2, 7000), ...noise(0.12, { type: 'highpass', frequency: 6000 })] },
+  { midi: 55, name: 'Splash', fullName: 'Splash Cymbal', layers: metal('D4', 0.6, 5000) },
+  { midi: 56, name: 'Cowbell', fullName: 'Cowbell', layers: [...tone('F5', 0.25, 'square'), ...tone('B5', 0.2, 'square')] },
+  { midi: 57, name: 'Crash 2', fullName: 'Crash Cymbal 2', layers: metal('D4', 1.8, 3500) },
+  { midi: 58, name: 'Vibraslap', fullName: 'Vibraslap', layers: metal('G4', 0.8, 2500, 1.5) },
+  { midi: 59, name: 'Ride 2', fullName: 'Ride Cymbal 2', layers: metal('F4', 1, 5500, 7.1) },
+  { midi: 60, name: 'Hi Bongo', fullName: 'Hi Bongo', layers: hand('E4') },
+  { midi: 61, name: 'Low Bongo', fullName: 'Low Bongo', layers: hand('A3') },
+  { midi: 62, name: 'Mute Conga', fullName: 'Mute Hi Conga', layers: hand('D4', 0.08) },
+  { midi: 63, name: 'Open Conga', fullName: 'Open Hi Conga', layers: hand('C4', 0.25) },
+  { midi: 64, name: 'Low Conga', fullName: 'Low Conga', layers: hand('F3', 0.3) },
+  { midi: 65, name: 'Hi Timbale', fullName: 'High Timbale', layers: [...hand('G4', 0.2), ...metal('G5', 0.15, 6000)] },
+  { midi: 66, name: 'Low Timbale', fullName: 'Low Timbale', layers: [...hand('C4', 0.25), ...metal('C5', 0.15, 5000)] },
+  { midi: 67, name: 'Hi Agogo', fullName: 'High Agogo', layers: tone('E6', 0.3, 'triangle') },
+  { midi: 68, name: 'Low Agogo', fullName: 'Low Agogo', layers: tone('A5', 0.3, 'triangle') },
+  { midi: 69, name: 'Cabasa', fullName: 'Cabasa', layers: noise(0.08, { type: 'highpass', frequency: 5000 }) },
+  { midi: 70, name: 'Maracas', fullName: 'Maracas', layers: noise(0.05, { type: 'highpass', frequency: 7000 }) },
+  { midi: 71, name: 'Short Whistle', fullName: 'Short Whistle', layers: tone('E7', 0.1) },
+  { midi: 72, name: 'Long Whistle', fullName: 'Long Whistle', layers: tone('D7', 0.4) },
+  { midi: 73, name: 'Short Guiro', fullName: 'Short Guiro', layers: noise(0.08, { type: 'bandpass', frequency: 3000 }, 'pink') },
+  { midi: 74, name: 'Long Guiro', fullName: 'Long Guiro', layers: noise(0.3, { type: 'bandpass', frequency: 3000 }, 'pink') },
+  { midi: 75, name: 'Claves', fullName: 'Claves', layers: tone('D6', 0.06, 'triangle') },
+  { midi: 76, name: 'Hi Wood Block', fullName: 'Hi Wood Block', layers: tone('B5', 0.08, 'triangle') },
+  { midi: 77, name: 'Low Wood Block', fullName: 'Low Wood Block', layers: tone('F5', 0.08, 'triangle') },
+  { midi: 78, name: 'Mute Cuica', fullName: 'Mute Cuica', layers: hand('C5', 0.1) },
+  { midi: 79, name: 'Open Cuica', fullName: 'Open Cuica', layers: hand('G4', 0.3) },
+  { midi: 80, name: 'Mute Triangle', fullName: 'Mute Triangle', layers: metal('A6', 0.1, 8000, 1.5) },
+  { midi: 81, name: 'Open Triangle', fullName: 'Open Triangle', layers: metal('A6', 1.2, 8000, 1.5) },
+];
+
+export const MIN_DRUM_MIDI = GM_PERCUSSION[0].midi;
+export const MAX_DRUM_MIDI = GM_PERCUSSION[GM_PERCUSSION.length - 1].midi;
+
+export const getDrum = (midi) => GM_PERCUSSION.find(drum => drum.midi === midi);
+
+// 起步节奏：一个 4/4 小节，每项为 [MIDI, 落点 step 列表, 力度]；插入到较短的小节时超出的部分会被截掉
+export const DRUM_PATTERNS = [
+  {
+    key: 'rock',
+    label: '摇滚 (Rock)',
+    hits: [[36, [0, 8, 10]], [38, [4, 12]], [42, [0, 2, 4, 6, 8, 10, 12, 14], 80]],
+  },
+  {
+    key: 'four-on-the-floor',
+    label: '四踩 (Four on the Floor)',
+    hits: [[36, [0, 4, 8, 12]], [39, [4, 12]], [42, [0, 4, 8, 12], 70], [46, [2, 6, 10, 14], 80]],
+  },
+  {
+    key: 'boom-bap',
+    label: '嘻哈 (Boom Bap)',
+    hits: [[36, [0, 7, 10]], [38, [4, 12]], [42, [0, 2, 4, 6, 8, 10, 12], 75], [46, [14], 75]],
+  },
+  {
+    key: 'bossa-nova',
+    label: '波萨诺瓦 (Bossa Nova)',
+    hits: [[36, [0, 3, 4, 7, 8, 11, 12, 15], 90], [37, [0, 3, 6, 10, 13]], [42, [0, 2, 4, 6, 8, 10, 12, 14], 60]],
+  },
+  {
+    key: 'half-time',
+    label: '半速 (Half Time)',
+    hits: [[36, [0, 3, 10]], [38, [8]], [42, [0, 2, 4, 6, 8, 10, 12, 14], 75], [49, [0], 90]],
+  },
+];
+
+const createLayerSynth = (context, layer) => {
+  const envelope = { attack: 0.001, decay: layer.decay, sustain: 0, release: 0.02 };
+  if (layer.type === 'membrane') {
+    return new Tone.MembraneSynth({ context, octaves: layer.octaves, pitchDecay: layer.pitchDecay, envelope });
+  }
+  if (layer.type === 'noise') return new Tone.NoiseSynth({ context, noise: { type: layer.noise || 'white' }, envelope });
+  if (layer.type === 'metal') {
+    return new Tone.MetalSynth({
+      context, harmonicity: layer.harmonicity, resonance: layer.resonance, modulationIndex: 32, octaves: 1.5,
+      envelope: { attack: 0.001, decay: layer.decay, release: 0.01 },
+    });
+  }
+  return new Tone.Synth({ context, oscillator: { type: layer.oscillator }, envelope });
+};
+
+/**
+ * 创建鼓组音源，用法与 Tone.Sampler 一致 (triggerAttackRelease / triggerAttack / triggerRelease / connect / dispose)
+ * 每个鼓都是一次性触发，时值被忽略；GM 表以外的音不发声。各鼓的合成器在第一次触发时才创建
+ */
+export const createDrumKitSource = (context) => {
+  const output = new Tone.Gain({ context });
+  const voices = new Map(); // MIDI -> [{ layer, synth, filter }]
+
+  const getVoice = (midi) => {
+    if (!voices.has(midi)) {
+      const drum = getDrum(midi);
+      voices.set(midi, drum ? drum.layers.map(layer => {
+        const synth = createLayerSynth(context, layer);
+        synth.volume.value = Tone.gainToDb(layer.gain ?? 1);
+        const filter = layer.filter ? new Tone.Filter({ context, ...layer.filter }) : null;
+        if (filter) synth.chain(filter, output);
+        else synth.connect(output);
+        return { layer, synth, filter };
+      }) : []);
+    }
+    return voices.get(midi);
+  };
+
+  const hit = (note, time, velocity = 1) => {
+    const midi = Tone.Frequency(note).toMidi();
+    getDrum(midi)?.chokes?.forEach(choked => {
+      voices.get(choked)?.forEach(({ synth }) => synth.triggerRelease(time));
+    });
+    getVoice(midi).forEach(({ layer, synth }) => {
+      if (layer.type === 'noise') synth.triggerAttackRelease(layer.decay, time, velocity);
+      else synth.triggerAttackRelease(layer.note, layer.decay, time, velocity);
+    });
+  };
+
+  const source = {
+    triggerAttackRelease: (note, _duration, time, velocity) => hit(note, time, velocity),
+    triggerAttack: (note, time, velocity) => hit(note, time, velocity),
+    triggerRelease: () => {},
+    connect: (destination) => {
+      output.connect(destination);
+      return source;
+    },
+    dispose: () => {
+      voices.forEach(layers => layers.forEach(({ synth, filter }) => {
+        synth.dispose();
+        filter?.dispose();
+      }));
+      output.dispose();
+    },
+  };
+  return source;
+};
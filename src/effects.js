@@ -0,0 +1,149 @@
+import * as Tone from 'tone';
+
+// 效果器：预设上的插入效果链和主输出总线，实时播放与离线渲染共用
+
+/**
+ * 可用的插入效果
+ * params 中 options 存在时为下拉选择，否则为滑块
+ */
+export const EFFECT_TYPES = [
+  {
+    type: 'reverb',
+    label: '混响',
+    params: [
+      { key: 'decay', label: '衰减 (秒)', min: 0.2, max: 10, step: 0.1, default: 2.5 },
+      { key: 'preDelay', label: '预延迟 (秒)', min: 0, max: 0.2, step: 0.01, default: 0.01 },
+      { key: 'wet', label: '干湿比', min: 0, max: 1, step: 0.01, default: 0.3 },
+    ],
+    create: (context, p) => new Tone.Reverb({ context, decay: p.decay, preDelay: p.preDelay, wet: p.wet }),
+  },
+  {
+    type: 'delay',
+    label: '延迟',
+    params: [
+      { key: 'delayTime', label: '延迟时间 (秒)', min: 0.02, max: 1, step: 0.01, default: 0.25 },
+      { key: 'feedback', label: '反馈', min: 0, max: 0.9, step: 0.01, default: 0.35 },
+      { key: 'wet', label: '干湿比', min: 0, max: 1, step: 0.01, default: 0.25 },
+    ],
+    create: (context, p) => new Tone.FeedbackDelay({ context, delayTime: p.delayTime, feedback: p.feedback, wet: p.wet }),
+  },
+  {
+    type: 'chorus',
+    label: '合唱',
+    params: [
+      { key: 'frequency', label: '速率 (Hz)', min: 0.1, max: 8, step: 0.1, default: 1.5 },
+      { key: 'delayTime', label: '延迟 (毫秒)', min: 2, max: 20, step: 0.5, default: 3.5 },
+      { key: 'depth', label: '深度', min: 0, max: 1, step: 0.01, default: 0.7 },
+      { key: 'wet', label: '干湿比', min: 0, max: 1, step: 0.01, default: 0.5 },
+    ],
+    // LFO 需要手动启动
+    create: (context, p) => new Tone.Chorus({
+      context, frequency: p.frequency, delayTime: p.delayTime, depth: p.depth, wet: p.wet,
+    }).start(),
+  },
+  {
+    type: 'eq',
+    label: '均衡器',
+    params: [
+      { key: 'low', label: '低频 (dB)', min: -24, max: 12, step: 0.5, default: 0 },
+      { key: 'mid', label: '中频 (dB)', min: -24, max: 12, step: 0.5, default: 0 },
+      { key: 'high', label: '高频 (dB)', min: -24, max: 12, step: 0.5, default: 0 },
+    ],
+    create: (context, p) => new Tone.EQ3({ context, low: p.low, mid: p.mid, high: p.high }),
+  },
+  {
+    type: 'filter',
+    label: '滤波器',
+    params: [
+      {
+        key: 'type',
+        label: '类型',
+        options: [{ label: '低通', value: 'lowpass' }, { label: '高通', value: 'highpass' }, { label: '带通', value: 'bandpass' }],
+        default: 'lowpass',
+      },
+      { key: 'frequency', label: '截止频率 (Hz)', min: 20, max: 20000, step: 10, default: 5000 },
+      { key: 'Q', label: 'Q', min: 0.1, max: 20, step: 0.1, default: 1 },
+    ],
+    create: (context, p) => new Tone.Filter({ context, type: p.type, frequency: p.frequency, Q: p.Q }),
+  },
+  {
+    type: 'distortion',
+    label: '失真',
+    params: [
+      { key: 'distortion', label: '失真度', min: 0, max: 1, step: 0.01, default: 0.4 },
+      { key: 'wet', label: '干湿比', min: 0, max: 1, step: 0.01, default: 0.5 },
+    ],
+    create: (context, p) => new Tone.Distortion({ context, distortion: p.distortion, wet: p.wet }),
+  },
+];
+
+export const getEffectType = (type) => EFFECT_TYPES.find(t => t.type === type);
+
+export const getDefaultEffectParams = (type) => Object.fromEntries(
+  getEffectType(type).params.map(param => [param.key, param.default]),
+);
+
+// 效果链的结构 (顺序、类型、开关) 变化时才需要重建节点，参数变化直接 set
+export const getEffectChainKey = (effects = []) => effects
+  .filter(e => e.enabled !== false)
+  .map(e => `${e.id}:${e.type}`)
+  .join('|');
+
+export const createEffectNodes = (context, effects = []) => effects
+  .filter(e => e.enabled !== false && getEffectType(e.type))
+  .map(e => getEffectType(e.type).create(context, { ...getDefaultEffectParams(e.type), ...e.params }));
+
+export const updateEffectNodes = (nodes, effects = []) => {
+  effects.filter(e => e.enabled !== false && getEffectType(e.type)).forEach((e, i) => {
+    nodes[i]?.set(e.params);
+  });
+};
+
+// 混响的脉冲响应是异步生成的，离线渲染前需要等它就绪
+export const whenEffectsReady = (nodes) => Promise.all(nodes.map(node => node.ready).filter(Boolean));
+
+// 主输出总线：压缩 -> 限制，防止总音量调高后削波
+export const DEFAULT_MASTER_BUS = {
+  compressor: { enabled: true, threshold: -18, ratio: 3, attack: 0.01, release: 0.2 },
+  limiter: { enabled: true, threshold: -1 },
+};
+
+/**
+ * 在 context 中搭建主输出总线，返回总线输入节点
+ * @returns {{ input: Tone.Gain, compressor: Tone.Compressor, limiter: Tone.Limiter, meter: Tone.Meter }}
+ */
+export const createMasterBus = (context, settings) => {
+  const input = new Tone.Gain({ context });
+  const compressor = new Tone.Compressor({ context });
+  const limiter = new Tone.Limiter({ context });
+  const meter = new Tone.Meter({ context, smoothing: 0.8, normalRange: true });
+  const bus = { input, compressor, limiter, meter, key: null };
+  applyMasterBus(bus, settings);
+  return bus;
+};
+
+// 按开关重新连线，参数直接写入
+export const applyMasterBus = (bus, settings) => {
+  const { compressor, limiter } = settings;
+  bus.compressor.set({
+    threshold: compressor.threshold, ratio: compressor.ratio, attack: compressor.attack, release: compressor.release,
+  });
+  bus.limiter.threshold.value = limiter.threshold;
+
+  const key = `${compressor.enabled}:${limiter.enabled}`;
+  if (bus.key === key) return;
+  bus.key = key;
+  bus.input.disconnect();
+  bus.compressor.disconnect();
+  bus.limiter.disconnect();
+  const chain = [
+    ...(compressor.enabled ? [bus.compressor] : []),
+    ...(limiter.enabled ? [bus.limiter] : []),
+  ];
+  bus.input.chain(...chain, bus.input.context.destination);
+  (chain[chain.length - 1] || bus.input).connect(bus.meter);
+};
+
+export const disposeMasterBus = (bus) => {
+  [bus.input, bus.compressor, bus.limiter, bus.meter].forEach(node => node.dispose());
+};
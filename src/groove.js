@@ -0,0 +1,123 @@
+// 律动：播放和导出时对音符的时间与力度做偏移，不改动存储的音符位置
+// 时间单位为 step (十六分音符)；摇摆和模板都从每个小节的起点算起，拍号变化时不会错位
+
+import { getBarBeat } from './timeSignature.js';
+
+export const SWING_UNITS = [
+  { label: '八分音符', value: '8n' },
+  { label: '十六分音符', value: '16n' },
+];
+
+// 摇摆比例：50% 为平直，66% 接近三连音，75% 为附点
+export const MIN_SWING = 50;
+export const MAX_SWING = 75;
+
+export const GROOVE_STEPS = 16;
+
+const STRAIGHT_STEPS = Array.from({ length: GROOVE_STEPS }, () => ({ timing: 0, velocity: 0 }));
+
+/**
+ * 律动模板，steps[i] 为小节内第 i 步的偏移，超过 16 步的小节从头循环
+ * timing 为 step 的比例 (正数推后)，velocity 为 MIDI 力度增量
+ */
+export const GROOVE_TEMPLATES = [
+  { label: '无', value: 'none', steps: STRAIGHT_STEPS },
+  {
+    // 反拍八分音符推到三连音位置，正拍加重
+    label: 'Shuffle',
+    value: 'shuffle',
+    steps: STRAIGHT_STEPS.map((_, i) => ({
+      timing: [0, 1 / 3, 2 / 3, 1 / 3][i % 4],
+      velocity: [10, -4, -8, -4][i % 4] + (i % 8 === 0 ? 4 : 0),
+    })),
+  },
+  {
+    // 十六分音符约 58% 的摇摆，反拍十六分音符减弱
+    label: 'MPC',
+    value: 'mpc',
+    steps: STRAIGHT_STEPS.map((_, i) => ({
+      timing: i % 2 === 1 ? 0.16 : 0,
+      velocity: [6, -10, 0, -10][i % 4],
+    })),
+  },
+  { label: '自定义', value: 'custom', steps: null },
+];
+
+export const DEFAULT_HUMANIZE = { enabled: false, timing: 10, velocity: 8, seed: 1 };
+
+export const DEFAULT_GROOVE = {
+  swing: MIN_SWING,
+  swingUnit: '8n',
+  template: 'none',
+  custom: STRAIGHT_STEPS,
+  humanize: DEFAULT_HUMANIZE,
+};
+
+export const normalizeGroove = (groove) => ({
+  ...DEFAULT_GROOVE,
+  ...groove,
+  custom: Array.from({ length: GROOVE_STEPS }, (_, i) => ({ ...STRAIGHT_STEPS[i], ...groove?.custom?.[i] })),
+  humanize: { ...DEFAULT_HUMANIZE, ...groove?.humanize },
+});
+
+export const isGrooveActive = (groove) => groove.swing > MIN_SWING || groove.template !== 'none' || groove.humanize.enabled;
+
+const getTemplateSteps = (groove) => (groove.template === 'custom'
+  ? groove.custom
+  : (GROOVE_TEMPLATES.find(t => t.value === groove.template) ?? GROOVE_TEMPLATES[0]).steps);
+
+// 摇摆：每对音符 (8n 为 4 步，16n 为 2 步) 内前半拉长、后半压缩，保持单调
+// 成对的位置从小节起点算起；小节末尾凑不满一对时 (如 7/8) 保持平直
+const applySwing = (step, { swing, swingUnit }, timeSignatures) => {
+  const pair = swingUnit === '16n' ? 2 : 4;
+  const half = pair / 2;
+  const ratio = swing / 50;
+  const { barStart, offsetInBar, meter } = getBarBeat(timeSignatures, step);
+  const base = Math.floor(offsetInBar / pair) * pair;
+  if (base + pair > meter.stepsPerBar) return step;
+  const offset = offsetInBar - base;
+  return barStart + base + (offset < half ? offset * ratio : half * ratio + (offset - half) * (2 - ratio));
+};
+
+// 由字符串得到 [0, 1) 的伪随机数，同一音符每次播放和导出的偏移相同
+const hashRandom = (text) => {
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    h = Math.imul(h ^ text.charCodeAt(i), 16777619);
+  }
+  h = Math.imul(h ^ (h >>> 15), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+};
+
+/**
+ * 计算音符加上律动后的实际位置与力度
+ * 模板的时间偏移只作用于落在网格上的音符，音长按摇摆后的起止位置计算
+ * @param {{ id: string, step: number, length: number, velocity: number }} node
+ * @param {object} groove
+ * @param {Array} timeSignatures 拍号，见 timeSignature.js
+ * @returns {{ start: number, end: number, offsetSeconds: number, velocity: number }}
+ *   start/end 为 step，offsetSeconds 为人性化的时间偏移 (秒)
+ */
+export const applyGroove = (node, groove, timeSignatures) => {
+  const swungStart = applySwing(node.step, groove, timeSignatures);
+  const swungEnd = applySwing(node.step + node.length, groove, timeSignatures);
+  const { offsetInBar } = getBarBeat(timeSignatures, node.step);
+  const templateStep = Number.isInteger(offsetInBar) ? getTemplateSteps(groove)[offsetInBar % GROOVE_STEPS] : null;
+  const start = Math.max(0, swungStart + (templateStep?.timing ?? 0));
+
+  let velocity = node.velocity + (templateStep?.velocity ?? 0);
+  let offsetSeconds = 0;
+  const { humanize } = groove;
+  if (humanize.enabled) {
+    offsetSeconds = (hashRandom(`${humanize.seed}:${node.id}:t`) * 2 - 1) * humanize.timing / 1000;
+    velocity += Math.round((hashRandom(`${humanize.seed}:${node.id}:v`) * 2 - 1) * humanize.velocity);
+  }
+
+  return {
+    start,
+    end: start + (swungEnd - swungStart),
+    offsetSeconds,
+    velocity: Math.max(1, Math.min(127, Math.round(velocity))),
+  };
+};
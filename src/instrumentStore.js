@@ -0,0 +1,60 @@
+import Soundfont from 'soundfont-player';
+
+// soundfont 音色库加载：本地优先，远程 CDN 兜底，下载过的音色存进 Cache Storage，之后离线也能用
+
+const CACHE_NAME = 'soundfonts-v1';
+
+// 依次尝试的音色库地址。把 MusyngKite 格式的 `<音色名>-mp3.js` 放在 public/soundfonts/ 下即可自托管，
+// 也可以用环境变量 VITE_SOUNDFONT_BASE_URL 指向其他位置
+const SOUNDFONT_BASE_URLS = [
+  import.meta.env.VITE_SOUNDFONT_BASE_URL || `${import.meta.env.BASE_URL}soundfonts/`,
+  'https://gleitz.github.io/midi-js-soundfonts/MusyngKite/',
+];
+
+// 缓存按音色名存取，与实际从哪个地址下载无关
+const getCacheKey = (name) => `${import.meta.env.BASE_URL}__soundfont-cache__/${name}-mp3.js`;
+
+// MIDI.js 音色文件是一段 `MIDI.Soundfont.xxx = { "A0": "data:audio/mp3;base64,...", }` 脚本，最后一项后面带逗号
+const parseMidiJs = (text) => {
+  let begin = text.indexOf('MIDI.Soundfont.');
+  if (begin < 0) throw new Error('Invalid MIDI.js soundfont');
+  begin = text.indexOf('=', begin) + 1;
+  const end = text.lastIndexOf(',');
+  return JSON.parse(`${text.slice(begin, end)}}`);
+};
+
+const openCache = () => (typeof caches !== 'undefined' ? caches.open(CACHE_NAME).catch(() => null) : Promise.resolve(null));
+
+const fetchSoundfontText = async (name) => {
+  const cache = await openCache();
+  const cached = await cache?.match(getCacheKey(name));
+  if (cached) return cached.text();
+
+  let lastError = null;
+  for (const baseUrl of SOUNDFONT_BASE_URLS) {
+    try {
+      const response = await fetch(`${baseUrl}${name}-mp3.js`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const text = await response.text();
+      // 本地没有文件时 SPA 回退会返回 index.html，解析一遍确认是音色文件
+      parseMidiJs(text);
+      await cache?.put(getCacheKey(name), new Response(text, { headers: { 'Content-Type': 'application/javascript' } }));
+      return text;
+    } catch (e) {
+      lastError = e;
+    }
+  }
+  throw lastError;
+};
+
+/**
+ * 加载 soundfont 音色
+ * @param {AudioContext} audioContext
+ * @param {string} name 音色名，如 'acoustic_grand_piano'
+ * @returns {Promise<object>} soundfont-player 的 instrument
+ */
+export const loadSoundfont = async (audioContext, name) => {
+  const notes = parseMidiJs(await fetchSoundfontText(name));
+  // 传入已解析的音符数据而不是 URL，soundfont-player 会直接解码，不再发网络请求
+  return Soundfont.instrument(audioContext, notes, { isSoundfontURL: () => true });
+};
@@ -0,0 +1,224 @@
+// Standard MIDI File (SMF) 读写工具，纯浏览器端实现，不依赖服务器
+
+// General MIDI 音色表，下标即 Program Number，名称与 soundfont 音色名一致
+export const GM_INSTRUMENTS = [
+  'acoustic_grand_piano', 'bright_acoustic_piano', 'electric_grand_piano', 'honkytonk_piano',
+  'electric_piano_1', 'electric_piano_2', 'harpsichord', 'clavinet',
+  'celesta', 'glockenspiel', 'music_box', 'vibraphone',
+  'marimba', 'xylophone', 'tubular_bells', 'dulcimer',
+  'drawbar_organ', 'percussive_organ', 'rock_organ', 'church_organ',
+  'reed_organ', 'accordion', 'harmonica', 'tango_accordion',
+  'acoustic_guitar_nylon', 'acoustic_guitar_steel', 'electric_guitar_jazz', 'electric_guitar_clean',
+  'electric_guitar_muted', 'overdriven_guitar', 'distortion_guitar', 'guitar_harmonics',
+  'acoustic_bass', 'electric_bass_finger', 'electric_bass_pick', 'fretless_bass',
+  'slap_bass_1', 'slap_bass_2', 'synth_bass_1', 'synth_bass_2',
+  'violin', 'viola', 'cello', 'contrabass',
+  'tremolo_strings', 'pizzicato_strings', 'orchestral_harp', 'timpani',
+  'string_ensemble_1', 'string_ensemble_2', 'synth_strings_1', 'synth_strings_2',
+  'choir_aahs', 'voice_oohs', 'synth_choir', 'orchestra_hit',
+  'trumpet', 'trombone', 'tuba', 'muted_trumpet',
+  'french_horn', 'brass_section', 'synth_brass_1', 'synth_brass_2',
+  'soprano_sax', 'alto_sax', 'tenor_sax', 'baritone_sax',
+  'oboe', 'english_horn', 'bassoon', 'clarinet',
+  'piccolo', 'flute', 'recorder', 'pan_flute',
+  'blown_bottle', 'shakuhachi', 'whistle', 'ocarina',
+  'lead_1_square', 'lead_2_sawtooth', 'lead_3_calliope', 'lead_4_chiff',
+  'lead_5_charang', 'lead_6_voice', 'lead_7_fifths', 'lead_8_bass__lead',
+  'pad_1_new_age', 'pad_2_warm', 'pad_3_polysynth', 'pad_4_choir',
+  'pad_5_bowed', 'pad_6_metallic', 'pad_7_halo', 'pad_8_sweep',
+  'fx_1_rain', 'fx_2_soundtrack', 'fx_3_crystal', 'fx_4_atmosphere',
+  'fx_5_brightness', 'fx_6_goblins', 'fx_7_echoes', 'fx_8_scifi',
+  'sitar', 'banjo', 'shamisen', 'koto',
+  'kalimba', 'bagpipe', 'fiddle', 'shanai',
+  'tinkle_bell', 'agogo', 'steel_drums', 'woodblock',
+  'taiko_drum', 'melodic_tom', 'synth_drum', 'reverse_cymbal',
+  'guitar_fret_noise', 'breath_noise', 'seashore', 'bird_tweet',
+  'telephone_ring', 'helicopter', 'applause', 'gunshot',
+];
+
+// 每个四分音符的 tick 数
+export const PPQ = 480;
+
+// 第 10 通道 (下标 9) 在 GM 中固定为打击乐，旋律轨道跳过它
+export const DRUM_CHANNEL = 9;
+const MELODIC_CHANNELS = Array.from({ length: 16 }, (_, i) => i).filter(c => c !== DRUM_CHANNEL);
+
+export const getMelodicChannel = (trackIndex) => MELODIC_CHANNELS[trackIndex % MELODIC_CHANNELS.length];
+
+const writeVarLen = (value) => {
+  let v = Math.max(0, Math.round(value));
+  const bytes = [v & 0x7f];
+  v >>= 7;
+  while (v > 0) {
+    bytes.unshift((v & 0x7f) | 0x80);
+    v >>= 7;
+  }
+  return bytes;
+};
+
+const writeUint32 = (value) => [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+const writeUint16 = (value) => [(value >> 8) & 0xff, value & 0xff];
+const textBytes = (str) => Array.from(new TextEncoder().encode(str));
+const clamp7 = (v) => Math.max(0, Math.min(127, Math.round(v)));
+
+// 同一 tick 上的排序：元事件 -> 音色 -> 关音 -> 开音，避免同音高重叠时被提前截断
+const EVENT_ORDER = { trackName: 0, tempo: 0, timeSignature: 0, programChange: 1, noteOff: 2, noteOn: 3 };
+
+const encodeEvent = (event) => {
+  switch (event.type) {
+    case 'trackName': {
+      const text = textBytes(event.text || '');
+      return [0xff, 0x03, ...writeVarLen(text.length), ...text];
+    }
+    case 'tempo': {
+      const mpqn = Math.round(60000000 / event.bpm);
+      return [0xff, 0x51, 0x03, (mpqn >> 16) & 0xff, (mpqn >> 8) & 0xff, mpqn & 0xff];
+    }
+    case 'timeSignature':
+      return [0xff, 0x58, 0x04, event.numerator, Math.log2(event.denominator), 24, 8];
+    case 'programChange':
+      return [0xc0 | event.channel, clamp7(event.program)];
+    case 'noteOn':
+      return [0x90 | event.channel, clamp7(event.note), clamp7(event.velocity)];
+    case 'noteOff':
+      return [0x80 | event.channel, clamp7(event.note), clamp7(event.velocity ?? 0)];
+    default:
+      throw new Error(`Unknown MIDI event type: ${event.type}`);
+  }
+};
+
+const encodeTrack = (events) => {
+  const sorted = events
+    .map((e, i) => ({ ...e, tick: Math.max(0, Math.round(e.tick)), index: i }))
+    .sort((a, b) => (a.tick - b.tick) || (EVENT_ORDER[a.type] - EVENT_ORDER[b.type]) || (a.index - b.index));
+
+  const data = [];
+  let lastTick = 0;
+  sorted.forEach(event => {
+    data.push(...writeVarLen(event.tick - lastTick), ...encodeEvent(event));
+    lastTick = event.tick;
+  });
+  // End of Track
+  data.push(0x00, 0xff, 0x2f, 0x00);
+
+  return [...textBytes('MTrk'), ...writeUint32(data.length), ...data];
+};
+
+/**
+ * 编码 type-1 Standard MIDI File
+ * @param {{ ppq?: number, tracks: Array<Array<{ tick: number, type: string }>> }} song
+ *   每个轨道是一个事件数组，事件类型见 encodeEvent
+ * @returns {Uint8Array}
+ */
+export const encodeMidiFile = ({ ppq = PPQ, tracks }) => {
+  const header = [...textBytes('MThd'), ...writeUint32(6), ...writeUint16(1), ...writeUint16(tracks.length), ...writeUint16(ppq)];
+  const bytes = tracks.reduce((acc, events) => acc.concat(encodeTrack(events)), header);
+  return new Uint8Array(bytes);
+};
+
+const readString = (bytes, start, length) => new TextDecoder().decode(bytes.subarray(start, start + length));
+
+const decodeTrack = (bytes, start, end) => {
+  const events = [];
+  let pos = start;
+  let tick = 0;
+  let runningStatus = null;
+
+  const readVarLen = () => {
+    let value = 0;
+    let byte;
+    do {
+      byte = bytes[pos++];
+      value = (value << 7) | (byte & 0x7f);
+    } while (byte & 0x80 && pos < end);
+    return value;
+  };
+
+  while (pos < end) {
+    tick += readVarLen();
+    let status = bytes[pos];
+    if (status & 0x80) {
+      pos++;
+    } else if (runningStatus !== null) {
+      status = runningStatus;
+    } else {
+      throw new Error('Invalid MIDI data: missing status byte');
+    }
+
+    if (status === 0xff) {
+      const metaType = bytes[pos++];
+      const length = readVarLen();
+      const dataStart = pos;
+      pos += length;
+      if (metaType === 0x03) {
+        events.push({ tick, type: 'trackName', text: readString(bytes, dataStart, length) });
+      } else if (metaType === 0x51 && length === 3) {
+        const mpqn = (bytes[dataStart] << 16) | (bytes[dataStart + 1] << 8) | bytes[dataStart + 2];
+        events.push({ tick, type: 'tempo', bpm: 60000000 / mpqn });
+      } else if (metaType === 0x58 && length >= 2) {
+        events.push({ tick, type: 'timeSignature', numerator: bytes[dataStart], denominator: 2 ** bytes[dataStart + 1] });
+      } else if (metaType === 0x2f) {
+        break;
+      }
+      continue;
+    }
+
+    if (status === 0xf0 || status === 0xf7) {
+      // SysEx：跳过
+      pos += readVarLen();
+      continue;
+    }
+
+    runningStatus = status;
+    const kind = status & 0xf0;
+    const channel = status & 0x0f;
+    const data1 = bytes[pos++];
+    // 0xC0 / 0xD0 只有一个数据字节
+    const data2 = (kind === 0xc0 || kind === 0xd0) ? 0 : bytes[pos++];
+
+    if (kind === 0x90 && data2 > 0) {
+      events.push({ tick, type: 'noteOn', channel, note: data1, velocity: data2 });
+    } else if (kind === 0x80 || kind === 0x90) {
+      events.push({ tick, type: 'noteOff', channel, note: data1, velocity: data2 });
+    } else if (kind === 0xc0) {
+      events.push({ tick, type: 'programChange', channel, program: data1 });
+    }
+  }
+
+  return events;
+};
+
+/**
+ * 解析 format 0/1 Standard MIDI File
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {{ format: number, ppq: number, tracks: Array<Array<object>> }}
+ *   事件结构与 encodeMidiFile 一致，tick 为绝对时间
+ */
+export const decodeMidiFile = (buffer) => {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (bytes.length < 14 || readString(bytes, 0, 4) !== 'MThd') {
+    throw new Error('Not a Standard MIDI File');
+  }
+  const headerLength = view.getUint32(4);
+  const format = view.getUint16(8);
+  const trackCount = view.getUint16(10);
+  const division = view.getUint16(12);
+
+  if (format > 1) throw new Error(`Unsupported MIDI format ${format}`);
+  if (division & 0x8000) throw new Error('SMPTE time division is not supported');
+
+  const tracks = [];
+  let pos = 8 + headerLength;
+  while (tracks.length < trackCount && pos + 8 <= bytes.length) {
+    const chunkType = readString(bytes, pos, 4);
+    const length = view.getUint32(pos + 4);
+    const start = pos + 8;
+    const end = Math.min(start + length, bytes.length);
+    if (chunkType === 'MTrk') tracks.push(decodeTrack(bytes, start, end));
+    pos = start + length;
+  }
+
+  return { format, ppq: division, tracks };
+};
@@ -0,0 +1,47 @@
+// 工程文件：一个空间的全部设置和音符，连同上传的采样 (base64 data URL) 存成一个 JSON
+
+const PROJECT_FORMAT = 'piano-roll-project';
+const PROJECT_VERSION = 1;
+
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+/**
+ * 生成工程文件内容
+ * @param {object} project 空间状态 (presets、nodes、bpm 等)
+ * @param {Array<{ id: string, name: string, type: string, data: ArrayBuffer }>} samples 预设引用的采样
+ * @returns {Promise<string>}
+ */
+export const encodeProject = async (project, samples) => JSON.stringify({
+  format: PROJECT_FORMAT,
+  version: PROJECT_VERSION,
+  ...project,
+  samples: await Promise.all(samples.map(async ({ id, name, type, data }) => ({
+    id,
+    name,
+    type,
+    data: await blobToDataUrl(new Blob([data], { type: type || 'application/octet-stream' })),
+  }))),
+});
+
+/**
+ * 解析工程文件，采样还原为 ArrayBuffer
+ * @returns {Promise<object>} 空间状态，samples 为 [{ id, name, type, data: ArrayBuffer }]
+ */
+export const decodeProject = async (text) => {
+  const project = JSON.parse(text);
+  if (project?.format !== PROJECT_FORMAT) throw new Error('不是工程文件');
+  if (project.version > PROJECT_VERSION) throw new Error('工程文件版本过新');
+  if (!Array.isArray(project.presets) || project.presets.length === 0 || !Array.isArray(project.nodes)) {
+    throw new Error('工程文件内容不完整');
+  }
+  const samples = await Promise.all((project.samples || []).map(async sample => ({
+    ...sample,
+    data: await (await fetch(sample.data)).arrayBuffer(),
+  })));
+  return { ...project, samples };
+};
@@ -0,0 +1,57 @@
+// 用户上传的采样：原始音频文件存在 IndexedDB 里，预设中只保存 sampleId
+// 记录形如 { id, spaceId, name, type, data: ArrayBuffer }
+
+const DB_NAME = 'piano-roll-samples';
+const STORE_NAME = 'samples';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // 打开失败时允许下次重试
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+// 在一个事务里执行 fn(store)，事务完成后返回 fn 中请求的结果
+const withStore = async (mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const request = fn(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+export const saveSample = (sample) => withStore('readwrite', store => store.put(sample));
+
+/**
+ * 读取采样
+ * @returns {Promise<{ id: string, spaceId: string, name: string, type: string, data: ArrayBuffer } | undefined>}
+ */
+export const getSample = (id) => withStore('readonly', store => store.get(id));
+
+// 删除所有不在 usedIds 中的采样 (用于删除空间后清理)
+export const deleteUnusedSamples = (usedIds) => withStore('readwrite', store => {
+  const request = store.openKeyCursor();
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+    if (!usedIds.has(cursor.key)) store.delete(cursor.key);
+    cursor.continue();
+  };
+  return null;
+});
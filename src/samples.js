@@ -0,0 +1,87 @@
+import * as Tone from 'tone';
+
+// 用户采样音源：单个采样按根音移调铺满整个键盘，或多个采样各自映射到一段音域
+
+export const MIN_SAMPLE_MIDI = 21;
+export const MAX_SAMPLE_MIDI = 108;
+export const SAMPLE_FILE_ACCEPT = '.wav,.mp3,.ogg,audio/wav,audio/mpeg,audio/ogg';
+
+export const SAMPLE_MODES = [
+  { label: '单个采样', value: 'single' },
+  { label: '多采样', value: 'multi' },
+];
+
+// zones: [{ id, sampleId, name, root, low, high }]，单采样模式只用第一个 zone 且忽略音域
+export const DEFAULT_SAMPLE = { mode: 'single', zones: [] };
+
+export const normalizeSample = (sample) => ({
+  ...DEFAULT_SAMPLE,
+  ...sample,
+  zones: sample?.zones ?? [],
+});
+
+// 实际参与发声的 zone
+export const getActiveZones = (sample) => {
+  const { mode, zones } = normalizeSample(sample);
+  if (mode === 'single') {
+    return zones.slice(0, 1).map(zone => ({ ...zone, low: MIN_SAMPLE_MIDI, high: MAX_SAMPLE_MIDI }));
+  }
+  return zones;
+};
+
+// 从文件名里猜根音，例如 piano_C4.wav、bass-F#2.ogg
+export const guessRootFromFileName = (fileName) => {
+  const match = fileName.replace(/\.[^.]+$/, '').match(/(?:^|[^A-Za-z])([A-G][#b]?)(-?\d)(?!\d)/);
+  if (!match) return null;
+  const midi = Tone.Frequency(`${match[1]}${match[2]}`).toMidi();
+  return midi >= MIN_SAMPLE_MIDI && midi <= MAX_SAMPLE_MIDI ? midi : null;
+};
+
+// 按根音排序，相邻根音的中点作为音域分界，首尾延伸到键盘两端
+export const distributeZoneRanges = (zones) => {
+  const sorted = [...zones].sort((a, b) => a.root - b.root);
+  return sorted.map((zone, i) => ({
+    ...zone,
+    low: i === 0 ? MIN_SAMPLE_MIDI : Math.floor((sorted[i - 1].root + zone.root) / 2) + 1,
+    high: i === sorted.length - 1 ? MAX_SAMPLE_MIDI : Math.floor((zone.root + sorted[i + 1].root) / 2),
+  }));
+};
+
+/**
+ * 按预设中的采样设置创建音源，每个 zone 一个 Tone.Sampler
+ * 返回的对象与 Tone.Sampler 用法一致 (triggerAttackRelease / triggerAttack / triggerRelease / connect / dispose)，
+ * 不落在任何音域内的音符不发声
+ * @param {Object<string, AudioBuffer>} buffers sampleId -> 已解码的音频
+ */
+export const createSampleSource = (context, sample, buffers) => {
+  const zones = getActiveZones(sample)
+    .filter(zone => buffers[zone.sampleId])
+    .map(zone => ({
+      ...zone,
+      sampler: new Tone.Sampler({ context, urls: { [zone.root]: buffers[zone.sampleId] }, attack: 0.005, release: 0.3 }),
+    }));
+  const findZone = (note) => {
+    const midi = Tone.Frequency(note).toMidi();
+    return zones.find(zone => midi >= zone.low && midi <= zone.high);
+  };
+
+  const source = {
+    triggerAttackRelease: (note, duration, time, velocity) => {
+      findZone(note)?.sampler.triggerAttackRelease(note, duration, time, velocity);
+    },
+    triggerAttack: (note, time, velocity) => {
+      findZone(note)?.sampler.triggerAttack(note, time, velocity);
+    },
+    triggerRelease: (note, time) => {
+      findZone(note)?.sampler.triggerRelease(note, time);
+    },
+    connect: (destination) => {
+      zones.forEach(zone => zone.sampler.connect(destination));
+      return source;
+    },
+    dispose: () => {
+      zones.forEach(zone => zone.sampler.dispose());
+    },
+  };
+  return source;
+};
@@ -0,0 +1,58 @@
+// 调性与音阶：用主音的音级 (0 = C) 和相对主音的半音数列表描述，12 个半音循环
+
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+export const SCALES = [
+  { label: '大调 (Major)', value: 'major', intervals: [0, 2, 4, 5, 7, 9, 11] },
+  { label: '小调 (Minor)', value: 'minor', intervals: [0, 2, 3, 5, 7, 8, 10] },
+  { label: '和声小调 (Harmonic Minor)', value: 'harmonicMinor', intervals: [0, 2, 3, 5, 7, 8, 11] },
+  { label: '多利亚 (Dorian)', value: 'dorian', intervals: [0, 2, 3, 5, 7, 9, 10] },
+  { label: '弗里几亚 (Phrygian)', value: 'phrygian', intervals: [0, 1, 3, 5, 7, 8, 10] },
+  { label: '利底亚 (Lydian)', value: 'lydian', intervals: [0, 2, 4, 6, 7, 9, 11] },
+  { label: '混合利底亚 (Mixolydian)', value: 'mixolydian', intervals: [0, 2, 4, 5, 7, 9, 10] },
+  { label: '洛克里亚 (Locrian)', value: 'locrian', intervals: [0, 1, 3, 5, 6, 8, 10] },
+  { label: '大调五声 (Major Pentatonic)', value: 'majorPentatonic', intervals: [0, 2, 4, 7, 9] },
+  { label: '小调五声 (Minor Pentatonic)', value: 'minorPentatonic', intervals: [0, 3, 5, 7, 10] },
+  { label: '布鲁斯 (Blues)', value: 'blues', intervals: [0, 3, 5, 6, 7, 10] },
+  { label: '自定义', value: 'custom', intervals: null },
+];
+
+// enabled 关闭时网格保持原样；snap 开启时网格输入和上下移动只落在音阶音上
+export const DEFAULT_KEY_SCALE = {
+  enabled: false,
+  root: 0,
+  scale: 'major',
+  custom: [0, 2, 4, 5, 7, 9, 11],
+  snap: false,
+};
+
+// 音阶包含的音级集合 (0-11)
+export const getScalePitchClasses = (keyScale) => {
+  const scale = SCALES.find(s => s.value === keyScale.scale);
+  const intervals = scale?.intervals ?? keyScale.custom ?? [];
+  return new Set(intervals.map(interval => (keyScale.root + interval) % 12));
+};
+
+export const isInScale = (pitchClasses, midi) => pitchClasses.has(((midi % 12) + 12) % 12);
+
+/**
+ * 沿音阶移动 degrees 级 (正数向上)；不在音阶上的音先走到最近的音阶音算作一级
+ * 音阶为空时原样返回
+ */
+export const stepInScale = (pitchClasses, midi, degrees) => {
+  if (pitchClasses.size === 0) return midi;
+  const direction = Math.sign(degrees);
+  let result = midi;
+  for (let i = 0; i < Math.abs(degrees); i++) {
+    do {
+      result += direction;
+    } while (!isInScale(pitchClasses, result));
+  }
+  return result;
+};
+
+// 调性的简短名称，如 "A 小调"
+export const getKeyScaleLabel = (keyScale) => {
+  const scale = SCALES.find(s => s.value === keyScale.scale);
+  return `${NOTE_NAMES[keyScale.root]} ${scale ? scale.label.replace(/ \(.*\)$/, '') : ''}`.trim();
+};
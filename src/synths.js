@@ -0,0 +1,84 @@
+import * as Tone from 'tone';
+
+// Tone.js 合成器音源：不需要下载采样，离线也能用
+
+export const SYNTH_TYPES = [
+  { label: '基础合成器 (Synth)', value: 'Synth' },
+  { label: '调频合成器 (FMSynth)', value: 'FMSynth' },
+  { label: '调幅合成器 (AMSynth)', value: 'AMSynth' },
+  { label: '单音合成器 (MonoSynth)', value: 'MonoSynth' },
+  { label: '鼓皮合成器 (MembraneSynth)', value: 'MembraneSynth' },
+  { label: '噪声合成器 (NoiseSynth)', value: 'NoiseSynth' },
+];
+
+export const OSCILLATOR_TYPES = [
+  { label: '正弦波', value: 'sine' },
+  { label: '三角波', value: 'triangle' },
+  { label: '方波', value: 'square' },
+  { label: '锯齿波', value: 'sawtooth' },
+];
+
+export const NOISE_TYPES = [
+  { label: '白噪声', value: 'white' },
+  { label: '粉红噪声', value: 'pink' },
+  { label: '布朗噪声', value: 'brown' },
+];
+
+export const FILTER_TYPES = [
+  { label: '低通', value: 'lowpass' },
+  { label: '高通', value: 'highpass' },
+  { label: '带通', value: 'bandpass' },
+];
+
+export const DEFAULT_SYNTH = {
+  type: 'Synth',
+  oscillator: 'triangle',
+  noise: 'white',
+  envelope: { attack: 0.01, decay: 0.2, sustain: 0.5, release: 0.8 },
+  filter: { enabled: false, type: 'lowpass', frequency: 2000, Q: 1 },
+};
+
+// 合并旧数据中缺失的字段
+export const normalizeSynth = (synth) => ({
+  ...DEFAULT_SYNTH,
+  ...synth,
+  envelope: { ...DEFAULT_SYNTH.envelope, ...synth?.envelope },
+  filter: { ...DEFAULT_SYNTH.filter, ...synth?.filter },
+});
+
+/**
+ * 按预设中的合成器设置创建音源
+ * 返回的对象与 Tone.Sampler 用法一致 (triggerAttackRelease / triggerAttack / triggerRelease / connect / dispose)，
+ * NoiseSynth 没有音高，会忽略 note 参数
+ */
+export const createSynthSource = (context, settings) => {
+  const { type, oscillator, noise, envelope, filter } = normalizeSynth(settings);
+  const isNoise = type === 'NoiseSynth';
+  const synth = isNoise
+    ? new Tone.NoiseSynth({ context, noise: { type: noise }, envelope })
+    : new Tone.PolySynth({ context, voice: Tone[type], options: { oscillator: { type: oscillator }, envelope } });
+  const filterNode = filter.enabled
+    ? new Tone.Filter({ context, type: filter.type, frequency: filter.frequency, Q: filter.Q })
+    : null;
+  if (filterNode) synth.connect(filterNode);
+  const output = filterNode || synth;
+
+  const source = {
+    triggerAttackRelease: (note, duration, time, velocity) => (isNoise
+      ? synth.triggerAttackRelease(duration, time, velocity)
+      : synth.triggerAttackRelease(note, duration, time, velocity)),
+    triggerAttack: (note, time, velocity) => (isNoise
+      ? synth.triggerAttack(time, velocity)
+      : synth.triggerAttack(note, time, velocity)),
+    triggerRelease: (note, time) => (isNoise ? synth.triggerRelease(time) : synth.triggerRelease(note, time)),
+    connect: (destination) => {
+      output.connect(destination);
+      return source;
+    },
+    dispose: () => {
+      synth.dispose();
+      filterNode?.dispose();
+    },
+  };
+  return source;
+};
@@ -0,0 +1,68 @@
+// 速度轨：起始速度 bpm + 变化点 [{ step, bpm, ramp }]
+// ramp 为 'instant' 时在该点直接跳变；为 'linear' 时从上一个点开始按时间线性过渡到该点 (与 Tone.js 的 bpm 自动化一致)
+
+export const MIN_BPM = 40;
+export const MAX_BPM = 300;
+
+// 1 BPM 时一个十六分音符的秒数
+const SECONDS_PER_STEP = 60 / 4;
+
+export const getTempoPoints = (bpm, tempoChanges = []) => [
+  { step: 0, bpm, ramp: 'instant' },
+  ...tempoChanges.filter(c => c.step > 0).sort((a, b) => a.step - b.step),
+];
+
+// 两个相邻点之间的时长 (秒)；线性渐变的平均速度即首尾速度的平均值
+const segmentSeconds = (from, to) => {
+  const steps = to.step - from.step;
+  return to.ramp === 'linear'
+    ? (2 * SECONDS_PER_STEP * steps) / (from.bpm + to.bpm)
+    : (SECONDS_PER_STEP * steps) / from.bpm;
+};
+
+// step 所在的段，以及到达段起点时已经过的秒数
+const locate = (points, step) => {
+  let seconds = 0;
+  for (let i = 0; i < points.length - 1; i++) {
+    if (step < points[i + 1].step) return { from: points[i], to: points[i + 1], seconds };
+    seconds += segmentSeconds(points[i], points[i + 1]);
+  }
+  return { from: points[points.length - 1], to: null, seconds };
+};
+
+// 从段起点走过 steps 个 step 所需的秒数，以及此刻的速度
+const progressInSegment = (from, to, steps) => {
+  if (to?.ramp !== 'linear' || to.bpm === from.bpm) {
+    return { seconds: (SECONDS_PER_STEP * steps) / from.bpm, bpm: from.bpm };
+  }
+  // 速度 b(t) = b0 + k·t，走过的 step 数为 (b0·t + k·t²/2) / 15，解出 t
+  const k = (to.bpm - from.bpm) / segmentSeconds(from, to);
+  const seconds = (Math.sqrt(from.bpm ** 2 + 2 * SECONDS_PER_STEP * k * steps) - from.bpm) / k;
+  return { seconds, bpm: from.bpm + k * seconds };
+};
+
+// 从第 0 步播放到 step 所需的秒数
+export const stepToSeconds = (points, step) => {
+  const { from, to, seconds } = locate(points, step);
+  return seconds + progressInSegment(from, to, step - from.step).seconds;
+};
+
+export const getTempoAt = (points, step) => {
+  const { from, to } = locate(points, step);
+  return progressInSegment(from, to, step - from.step).bpm;
+};
+
+/**
+ * 从 step 处开始 (AudioContext 时间 time) 设置 Transport 的 bpm 自动化：
+ * 清除 time 之后的旧自动化，设为当前速度；处在渐变段中时接着排好剩余的渐变
+ * @param {Tone.Param} bpmParam Transport.bpm
+ */
+export const applyTempoAt = (bpmParam, points, step, time) => {
+  const { from, to } = locate(points, step);
+  const { seconds, bpm } = progressInSegment(from, to, step - from.step);
+  bpmParam.cancelScheduledValues(time);
+  bpmParam.setValueAtTime(bpm, time);
+  if (to?.ramp === 'linear') {
+    bpmParam.linearRampToValueAtTime(to.bpm, time + segmentSeconds(from, to) - seconds);
+  }
+};
@@ -0,0 +1,110 @@
+// 拍号：以 step (十六分音符) 为单位计算小节与拍
+// 拍号列表形如 [{ bar, numerator, denominator }]，bar 为从 0 开始的小节序号，变化只能落在小节线上
+
+export const DEFAULT_TIME_SIGNATURES = [{ bar: 0, numerator: 4, denominator: 4 }];
+export const TIME_SIGNATURE_DENOMINATORS = [2, 4, 8, 16];
+
+const STEPS_PER_WHOLE = 16;
+
+// 排序、去重 (同一小节后者生效)，并保证第 0 小节有拍号
+export const normalizeTimeSignatures = (timeSignatures) => {
+  const byBar = new Map();
+  [...(timeSignatures || [])]
+    .filter(sig => sig.numerator >= 1 && TIME_SIGNATURE_DENOMINATORS.includes(sig.denominator))
+    .sort((a, b) => a.bar - b.bar)
+    .forEach(sig => byBar.set(Math.max(0, Math.round(sig.bar)), { ...sig, bar: Math.max(0, Math.round(sig.bar)) }));
+  const list = [...byBar.values()];
+  if (list.length === 0) return DEFAULT_TIME_SIGNATURES;
+  if (list[0].bar !== 0) list.unshift({ ...list[0], bar: 0 });
+  return list;
+};
+
+/**
+ * 展开为分段，每段附带起始 step、每拍和每小节的 step 数
+ * @returns {Array<{ bar: number, step: number, numerator: number, denominator: number, stepsPerBeat: number, stepsPerBar: number }>}
+ */
+export const getMeterSegments = (timeSignatures) => {
+  const segments = [];
+  normalizeTimeSignatures(timeSignatures).forEach(sig => {
+    const prev = segments[segments.length - 1];
+    segments.push({
+      ...sig,
+      step: prev ? prev.step + (sig.bar - prev.bar) * prev.stepsPerBar : 0,
+      stepsPerBeat: STEPS_PER_WHOLE / sig.denominator,
+      stepsPerBar: sig.numerator * STEPS_PER_WHOLE / sig.denominator,
+    });
+  });
+  return segments;
+};
+
+// step 所在的拍号段
+export const getMeterAt = (timeSignatures, step) => {
+  const segments = getMeterSegments(timeSignatures);
+  return segments.reduce((found, seg) => (seg.step <= step ? seg : found), segments[0]);
+};
+
+/**
+ * step 对应的小节和拍 (均从 1 开始)
+ * @returns {{ bar: number, beat: number, barStart: number, offsetInBar: number, meter: object }}
+ */
+export const getBarBeat = (timeSignatures, step) => {
+  const meter = getMeterAt(timeSignatures, step);
+  const offset = Math.max(0, step - meter.step);
+  const barInSegment = Math.floor(offset / meter.stepsPerBar);
+  const offsetInBar = offset - barInSegment * meter.stepsPerBar;
+  return {
+    bar: meter.bar + barInSegment + 1,
+    beat: Math.floor(offsetInBar / meter.stepsPerBeat) + 1,
+    barStart: meter.step + barInSegment * meter.stepsPerBar,
+    offsetInBar,
+    meter,
+  };
+};
+
+// 第 bar 小节 (从 0 开始) 的起始 step
+export const getBarStartStep = (timeSignatures, bar) => {
+  const meter = getMeterSegments(timeSignatures).reduce((found, seg) => (seg.bar <= bar ? seg : found));
+  return meter.step + (bar - meter.bar) * meter.stepsPerBar;
+};
+
+// step 之后的下一条小节线
+export const getNextBarStep = (timeSignatures, step) => {
+  const { barStart, meter } = getBarBeat(timeSignatures, step);
+  return barStart + meter.stepsPerBar;
+};
+
+// step 之前的小节线；正好在小节线上时返回上一小节
+export const getPrevBarStep = (timeSignatures, step) => {
+  const { bar, barStart } = getBarBeat(timeSignatures, step);
+  return step > barStart ? barStart : getBarStartStep(timeSignatures, Math.max(0, bar - 2));
+};
+
+// 网格需要的长度：补齐到 endStep 所在小节的结尾，再多留两个小节
+export const getGridStepsFor = (timeSignatures, endStep) => {
+  const { barStart } = getBarBeat(timeSignatures, endStep);
+  let steps = barStart === endStep ? endStep : getNextBarStep(timeSignatures, endStep);
+  for (let i = 0; i < 2; i++) steps = getNextBarStep(timeSignatures, steps);
+  return steps;
+};
+
+/**
+ * 列出 [0, totalSteps) 内的所有拍，用于绘制小节线和标尺
+ * @returns {Array<{ step: number, bar: number, beat: number, meter: object }>}
+ */
+export const getBeats = (timeSignatures, totalSteps) => {
+  const segments = getMeterSegments(timeSignatures);
+  const beats = [];
+  segments.forEach((meter, i) => {
+    const end = Math.min(totalSteps, segments[i + 1]?.step ?? totalSteps);
+    for (let step = meter.step; step < end; step += meter.stepsPerBeat) {
+      const offset = step - meter.step;
+      beats.push({
+        step,
+        bar: meter.bar + Math.floor(offset / meter.stepsPerBar) + 1,
+        beat: Math.floor((offset % meter.stepsPerBar) / meter.stepsPerBeat) + 1,
+        meter,
+      });
+    }
+  });
+  return beats;
+};
@@ -0,0 +1,48 @@
+import { getBarBeat } from './timeSignature.js';
+
+// 选区变换：输入选中的节点，返回变换后的节点 (id 不变)
+// 起始位置保持为整数 step，需要时四舍五入；音域检查和重叠处理由调用方负责
+
+const getSpan = (nodes) => ({
+  start: Math.min(...nodes.map(n => n.step)),
+  end: Math.max(...nodes.map(n => n.step + n.length)),
+});
+
+export const transpose = (nodes, semitones) => nodes.map(n => ({ ...n, midi: n.midi + semitones }));
+
+// 逆行：在选区的时间范围内首尾颠倒，每个音的结束点变为新的起点
+export const retrograde = (nodes) => {
+  const { start, end } = getSpan(nodes);
+  return nodes.map(n => ({ ...n, step: Math.max(start, Math.round(start + end - n.step - n.length)) }));
+};
+
+// 倒影：以 pivot 为轴上下翻转音程
+export const invert = (nodes, pivot) => nodes.map(n => ({ ...n, midi: 2 * pivot - n.midi }));
+
+// 时间伸缩：以选区起点为锚点，位置和音长同时乘以 factor
+export const stretch = (nodes, factor) => {
+  const { start } = getSpan(nodes);
+  return nodes.map(n => ({
+    ...n,
+    step: Math.round(start + (n.step - start) * factor),
+    length: n.length * factor,
+  }));
+};
+
+// 连奏：每个音延长到下一个起点 (同一时刻开始的音视为和弦一起延长)，最后的音不变
+export const legato = (nodes) => {
+  const starts = [...new Set(nodes.map(n => n.step))].sort((a, b) => a - b);
+  return nodes.map(n => {
+    const next = starts.find(step => step > n.step);
+    return next === undefined ? n : { ...n, length: next - n.step };
+  });
+};
+
+// 量化起始位置：网格从每个小节的起点算起，吸附到最近的网格线或下一条小节线
+export const quantize = (nodes, gridSteps, timeSignatures) => nodes.map(n => {
+  const { barStart, offsetInBar, meter } = getBarBeat(timeSignatures, n.step);
+  const lower = Math.floor(offsetInBar / gridSteps) * gridSteps;
+  const upper = Math.min(lower + gridSteps, meter.stepsPerBar);
+  const snapped = offsetInBar - lower < upper - offsetInBar ? lower : upper;
+  return { ...n, step: barStart + snapped };
+});
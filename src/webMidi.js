@@ -0,0 +1,80 @@
+// Web MIDI 访问封装
+
+let accessPromise = null;
+let resolvedAccess = null;
+
+export const isWebMidiSupported = () => typeof navigator !== 'undefined' && !!navigator.requestMIDIAccess;
+
+// 整个页面共用一个 MIDIAccess，首次调用时才向浏览器申请权限
+export const getMidiAccess = () => {
+  if (!accessPromise) {
+    accessPromise = navigator.requestMIDIAccess().then((access) => {
+      resolvedAccess = access;
+      return access;
+    }).catch((e) => {
+      accessPromise = null;
+      throw e;
+    });
+  }
+  return accessPromise;
+};
+
+/**
+ * 列出可用端口
+ * @param {MIDIAccess} access
+ * @param {'inputs'|'outputs'} kind
+ */
+export const listMidiPorts = (access, kind) => (
+  [...access[kind].values()].map(port => ({ label: port.name || port.id, value: port.id }))
+);
+
+/**
+ * 解析原始 MIDI 消息，只关心音符事件
+ * @param {Uint8Array} data
+ * @returns {{ type: 'noteOn'|'noteOff', channel: number, note: number, velocity: number }|null}
+ */
+export const parseMidiMessage = (data) => {
+  const [status, note, velocity = 0] = data;
+  const kind = status & 0xf0;
+  const channel = status & 0x0f;
+  if (kind === 0x90 && velocity > 0) return { type: 'noteOn', channel, note, velocity };
+  if (kind === 0x80 || kind === 0x90) return { type: 'noteOff', channel, note, velocity };
+  return null;
+};
+
+// 将 AudioContext 时间 (秒) 换算为 Web MIDI 使用的 performance.now() 时间戳 (毫秒)
+export const audioTimeToMidiTimestamp = (audioContext, time) => {
+  if (audioContext.getOutputTimestamp) {
+    const { contextTime, performanceTime } = audioContext.getOutputTimestamp();
+    if (performanceTime) return performanceTime + (time - contextTime) * 1000;
+  }
+  return performance.now() + (time - audioContext.currentTime) * 1000;
+};
+
+/**
+ * 发送一个带时长的音符
+ * @param {MIDIOutput} output
+ * @param {number} channel 0-15
+ * @param {number} timestamp performance.now() 时间戳 (毫秒)
+ * @param {number} durationMs
+ */
+export const sendMidiNote = (output, channel, note, velocity, timestamp, durationMs) => {
+  output.send([0x90 | channel, note, velocity], timestamp);
+  output.send([0x80 | channel, note, 0], timestamp + durationMs);
+};
+
+// Panic：清空尚未发出的消息，并向所有输出端口的所有通道发送 All Sound Off / All Notes Off
+export const sendAllNotesOff = () => {
+  if (!resolvedAccess) return;
+  resolvedAccess.outputs.forEach(output => {
+    try {
+      output.clear?.();
+      for (let channel = 0; channel < 16; channel++) {
+        output.send([0xb0 | channel, 120, 0]);
+        output.send([0xb0 | channel, 123, 0]);
+      }
+    } catch (e) {
+      console.error('Failed to send all notes off', output.name, e);
+    }
+  });
+};